@@ -1,26 +1,157 @@
 // noinspection JSUnusedGlobalSymbols
 /* global Buffer */
+import { resolveTenant, TenantError } from "../lib/tenants.js";
+import { checkUpstreamRequest } from "../lib/policy.js";
+import { getStorage } from "../lib/storage.js";
+import {
+    catalogCachePolicy,
+    catalogBody,
+    readCatalogEntry,
+    writeCatalogEntry,
+    entryState,
+    isNotModified,
+    catalogCacheHeaders,
+    purgeCatalogCache,
+    isPurgeAuthorized,
+} from "../lib/catalog-cache.js";
+import { renderCacheKey, readRender, writeRender, renderCacheHeaders } from "../lib/render-cache.js";
+import { loadBootstrap } from "../lib/bootstrap.js";
+import { fetchUpstream, requestDeadline, CircuitOpenError, UpstreamTimeoutError } from "../lib/upstream.js";
+import { isOriginAllowed, preflightResponse, requestOrigin } from "../lib/cors.js";
+import { createResponder } from "../lib/response.js";
+import { budgetFor, clientKey, consume, rateLimitHeaders } from "../lib/rate-limit.js";
+import { issueSession, verifySession, sessionTokenFrom, signRender, verifyRenderSignature, SessionError } from "../lib/session.js";
+import { parseImageTransform, imageCacheKey, readImage, transformImage, imageCacheHeaders } from "../lib/image-transform.js";
+import { proxyPublicBase, rewriteAssetUrls } from "../lib/asset-urls.js";
+import { parsePersonalizations, validatePersonalizations, blockedTextErrors } from "../lib/personalization.js";
+import { log, withRequestLogging, annotateRequest, errorFields, redactUrl, redactValues } from "../lib/log.js";
+
+// Marks the catalog calls bootstrap and validation make back into this handler; the shopper's
+// request was already counted
+const SUBREQUEST = Symbol("subrequest");
+// Carries the shopper's request deadline into those calls, so they share its time budget
+const DEADLINE = Symbol("deadline");
+
+// Catalog keys being refreshed behind a stale response, so concurrent requests for the same
+// entry start one upstream call between them
+const revalidating = new Map();
+
 /**
  * Netlify function handler
+ * @param {import('@netlify/functions').HandlerEvent} event
+ * @param {import('@netlify/functions').HandlerContext} context
+ * @returns {Promise<import('@netlify/functions').HandlerResponse>}
+ */
+export async function handler(event, context) {
+    return withRequestLogging(event, () => proxy(event, context));
+}
+
+/**
  * @param {import('@netlify/functions').HandlerEvent} event
  * @param {import('@netlify/functions').HandlerContext} _context
  * @returns {Promise<import('@netlify/functions').HandlerResponse>}
  */
-export async function handler(event, _context) {
+async function proxy(event, _context) {
     // noinspection JSUnresolvedVariable
-    console.log('Proxy called with event:', event.queryStringParameters);
-    console.log('');
+    const methodFromEvent = event.httpMethod || 'GET';
+    const qp = event.queryStringParameters || {};
+    // `token` is the render session token, `sig` a long-lived render signature and `w`/`fmt` an
+    // image transform; all are handled here and never forwarded to PulseID. `fontType` is
+    // dropped: the tenant's font type applies, whatever a caller asks for.
+    const { url: absUrl, endpoint, method: methodOverride, tenant: tenantParam, token: _token, sig: renderSig, w, fmt, fontType: _fontType, ...forwardParams } = qp;
+    const method = (methodOverride || methodFromEvent).toUpperCase();
+    const deadline = event[DEADLINE] ?? requestDeadline();
+
+    // CORS preflight is answered here; it never needs a tenant or a PulseID call
+    if (methodFromEvent.toUpperCase() === "OPTIONS") {
+        return preflightResponse(event);
+    }
+
+    const respond = createResponder(event);
+    if (!isOriginAllowed(event.headers)) {
+        log.warn("origin not allowed", { origin: requestOrigin(event.headers) });
+        return respond.json(403, { error: "Origin not allowed", code: "ORIGIN_NOT_ALLOWED" });
+    }
+
+    // Credentials and PulseID host come from the tenant table (see netlify/lib/tenants.js)
+    let tenant;
+    try {
+        tenant = resolveTenant({ tenant: tenantParam, headers: event.headers });
+    } catch (err) {
+        if (!(err instanceof TenantError)) throw err;
+        log.warn("tenant resolution failed", { error: errorFields(err) });
+        return respond.json(err.statusCode, { error: err.message });
+    }
+
+    const ORIGIN = tenant.origin; // host only, no trailing slash
+    annotateRequest({ tenant: tenant.id });
+
+    // POST /api/pulseid-proxy/purge[?endpoint=Fonts/GetFonts] drops this tenant's cached catalog
+    // responses, e.g. after merchants change fonts or templates in PulseID.
+    if (/\/purge\/?$/.test(event.path || "")) {
+        const authorized = method === "POST" && isPurgeAuthorized(event.headers);
+        let purged = 0;
+        if (authorized) {
+            const store = await getStorage("pulseid-catalog", event);
+            purged = await purgeCatalogCache(store, tenant.id, endpoint);
+            log.info("catalog cache purged", { purged, endpoint });
+        }
+        return respond.json(authorized ? 200 : 403, authorized ? { purged } : { error: "Cache purge not authorized" });
+    }
 
+    // The request's render session, when it carries a valid one; rate limits are kept per
+    // session rather than per IP. Requests without one (or with a bad one) count against the IP.
+    function sessionId() {
+        try {
+            return verifySession(sessionTokenFrom(qp, event.headers), tenant).sid;
+        } catch (err) {
+            if (!(err instanceof SessionError)) throw err;
+            return null;
+        }
+    }
 
-    const API_KEY = "pulseRockBottomGolf";
-    const COMPANY = "PersonalizeYourGear";
+    // The rate limit result when the client is over its budget for `family`, else null. New
+    // sessions are counted per IP, whatever session the caller already holds.
+    function overLimit(family) {
+        if (event[SUBREQUEST]) return null;
+        const budget = budgetFor(family);
+        const result = consume(clientKey(event.headers, budget === "session" ? null : sessionId()), budget);
+        if (result.allowed) return null;
+        annotateRequest({ rateLimited: budget });
+        log.warn("rate limit exceeded", { budget, retryAfter: result.retryAfter });
+        return result;
+    }
 
-    const ORIGIN = "https://rockbottom.pulseidconnect.com"; // host only, no trailing slash
+    // Throttled clients get 429 + Retry-After before anything reaches PulseID
+    function rateLimited(family) {
+        const result = overLimit(family);
+        if (!result) return null;
+        return respond.json(
+            429,
+            { error: "Too many requests, please slow down", code: "RATE_LIMITED", retryAfter: result.retryAfter },
+            rateLimitHeaders(result)
+        );
+    }
+
+    // GET /api/pulseid-proxy/session issues a fresh render session token (see netlify/lib/session.js)
+    if (/\/session\/?$/.test(event.path || "")) {
+        const throttled = rateLimited("session");
+        if (throttled) return throttled;
+        try {
+            return respond.json(200, issueSession(tenant));
+        } catch (err) {
+            if (!(err instanceof SessionError)) throw err;
+            log.error("session issue failed", { error: errorFields(err) });
+            return respond.json(err.statusCode, { error: err.message, code: err.code });
+        }
+    }
 
     // Build a fully-qualified upstream URL from either a full URL or an endpoint path,
     // and merge extra query params into it safely.
     function buildUpstreamUrl(urlOrEndpoint, extraQuery) {
         const extra = new URLSearchParams(extraQuery || {}).toString();
+        // Expand the `{api domain}` token PulseID uses in asset URLs to this tenant's host
+        urlOrEndpoint = (urlOrEndpoint || "").replace('{api domain}', ORIGIN);
         const isAbs = /^https?:\/\//i.test(urlOrEndpoint || "");
         let base;
         if (isAbs) {
@@ -38,35 +169,133 @@ export async function handler(event, _context) {
         return base + (base.includes('?') ? `&${extra}` : `?${extra}`);
     }
 
-    // noinspection JSUnresolvedVariable
-    const methodFromEvent = event.httpMethod || 'GET';
-    const qp = event.queryStringParameters || {};
-    const { url: absUrl, endpoint, method: methodOverride, ...forwardParams } = qp;
-    const method = (methodOverride || methodFromEvent).toUpperCase();
+    // Catalog calls made on the proxy's own behalf (bootstrap, validation) re-enter this handler so
+    // they get the same policy checks and catalog caching as a direct widget request.
+    // Conditional headers belong to the outer request, not to the calls it makes.
+    const subHeaders = Object.fromEntries(
+        Object.entries(event.headers || {}).filter(([name]) => !/^if-(none-match|modified-since)$/i.test(name))
+    );
+    const fetchEndpoint = (subEndpoint, params) => handler({
+        ...event,
+        path: "",
+        httpMethod: "GET",
+        headers: subHeaders,
+        [SUBREQUEST]: true,
+        [DEADLINE]: deadline,
+        queryStringParameters: { ...params, endpoint: subEndpoint, tenant: tenant.id },
+    }, _context);
+
+    // Per-element problems with the request's Personalizations[n].* parameters (empty when valid)
+    const personalizations = parsePersonalizations(Object.entries(forwardParams));
+    const personalizationErrors = () => validatePersonalizations(fetchEndpoint, {
+        templateCode: forwardParams.TemplateCode,
+        personalizations,
+        fontType: tenant.fontType,
+        textConstraints: tenant.textConstraints,
+        blockedWords: tenant.blockedWords,
+    });
+
+    // GET /api/pulseid-proxy/bootstrap?variantId=... returns product, fonts, colours, templates
+    // (with thumbnails) and designs in one payload.
+    if (/\/bootstrap\/?$/.test(event.path || "")) {
+        const throttled = rateLimited("bootstrap");
+        if (throttled) return throttled;
+
+        const payload = await loadBootstrap(fetchEndpoint, {
+            variantId: qp.variantId || qp.variantid,
+            fontType: tenant.fontType,
+            templatePrefix: qp.templatePrefix,
+        });
+        try {
+            // Over the session budget the payload still loads; the widget asks /session later
+            payload.session = overLimit("session") ? null : issueSession(tenant);
+        } catch (err) {
+            if (!(err instanceof SessionError)) throw err;
+            log.error("session issue failed", { error: errorFields(err) });
+            payload.session = null;
+            payload.errors.session = err.message;
+        }
+        // The widget checks text against the same limits and list as it's typed
+        payload.textConstraints = tenant.textConstraints;
+        payload.blockedWords = tenant.blockedWords;
+        return respond.json(200, payload);
+    }
+
+    // /api/pulseid-proxy/validate?TemplateCode=...&Personalizations[0].Text=... checks
+    // the same parameters a render takes, e.g. before the storefront submits an order.
+    if (/\/validate\/?$/.test(event.path || "")) {
+        const throttled = rateLimited("validate");
+        if (throttled) return throttled;
+        try {
+            const errors = await personalizationErrors();
+            return respond.json(errors.length ? 422 : 200, { valid: errors.length === 0, errors });
+        } catch (err) {
+            log.error("personalization validation failed", { error: errorFields(err) });
+            return respond.json(502, { error: "Personalization could not be validated", code: "VALIDATION_UNAVAILABLE" });
+        }
+    }
 
     // Allow either `url=` (absolute) or `endpoint=` (path). One is required.
     const targetSpecifier = absUrl || endpoint;
     if (!targetSpecifier) {
-        return {
-            statusCode: 400,
-            headers: {
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                "Content-Type": "application/json",
-                "Cache-Control": "no-store"
-            },
-            body: JSON.stringify({ error: "Missing 'url' or 'endpoint' parameter" }),
-        };
+        return respond.json(400, { error: "Missing 'url' or 'endpoint' parameter" });
     }
 
-    const url = buildUpstreamUrl(targetSpecifier, forwardParams);
+    const requestedUrl = buildUpstreamUrl(targetSpecifier, forwardParams);
+
+    // Only the PulseID origin(s) and the endpoint families the widget uses may be proxied.
+    // From here on the canonical URL the policy classified is the one used and forwarded.
+    const verdict = checkUpstreamRequest(requestedUrl, method, tenant);
+    annotateRequest({ family: verdict.family || "refused" });
+    if (!verdict.allowed) {
+        log.warn("request refused by policy", { code: verdict.code, url: redactUrl(requestedUrl) });
+        return respond.json(403, { error: verdict.message, code: verdict.code });
+    }
+    const url = verdict.url;
+
+    const throttled = rateLimited(verdict.family);
+    if (throttled) return throttled;
+
+    // Orders/Render previews are cached by their normalised render parameters
+    const renderKey = method === "GET" && verdict.family === "render" ? renderCacheKey(url, tenant) : null;
+
+    // Renders only for URLs the widget built: carrying a session token this proxy signed, or
+    // the long-lived signature it handed out for exactly this render (stored with orders)
+    if (verdict.family === "render") {
+        try {
+            if (renderSig && renderKey) {
+                verifyRenderSignature(renderSig, renderKey.hash, tenant);
+                annotateRequest({ session: "signed-render" });
+            } else {
+                const session = verifySession(sessionTokenFrom(qp, event.headers), tenant);
+                annotateRequest({ session: session.sid });
+            }
+        } catch (err) {
+            if (!(err instanceof SessionError)) throw err;
+            log.warn("render refused", { code: err.code });
+            return respond.json(err.statusCode, { error: err.message, code: err.code });
+        }
+
+        // If the catalogs can't be loaded PulseID is unlikely to render either; let it decide,
+        // but never with blocked words
+        let errors = [];
+        try {
+            errors = await personalizationErrors();
+        } catch (err) {
+            log.warn("personalization validation skipped", { error: errorFields(err) });
+            errors = blockedTextErrors(personalizations, tenant.blockedWords);
+        }
+        if (errors.length) {
+            annotateRequest({ invalid: errors.map(e => e.code) });
+            return respond.json(422, { error: "Personalization is not valid", code: "INVALID_PERSONALIZATION", errors });
+        }
+    }
 
     const options = {
         method,
         headers: {
-            "apiKey": API_KEY,
-            "company": COMPANY,
+            "apiKey": tenant.apiKey,
+            "company": tenant.company,
             "Content-Type": "application/json",
         }
     };
@@ -75,13 +304,102 @@ export async function handler(event, _context) {
         options.body = event.body;
     }
 
+    // Catalog endpoints (fonts, colours, templates, designs) are cached per tenant
+    const cachePolicy = method === "GET" ? catalogCachePolicy(url, tenant) : null;
+    const catalogStore = cachePolicy ? await getStorage("pulseid-catalog", event) : null;
+    const cachedEntry = cachePolicy ? await readCatalogEntry(catalogStore, cachePolicy.key) : null;
+
+    // `{api domain}` tokens and PulseID asset URLs in responses become URLs on this proxy.
+    // Done per response rather than before caching, as the proxy's public host varies by deploy.
+    const assetContext = { tenant, base: proxyPublicBase() };
+
+    function catalogResponse(entry, cacheStatus) {
+        const cacheHeaders = catalogCacheHeaders(entry, cachePolicy, cacheStatus);
+        const notModified = isNotModified(entry, event.headers);
+        return respond.send({
+            statusCode: notModified ? 304 : 200,
+            contentType: entry.contentType,
+            headers: cacheHeaders,
+            body: notModified ? "" : rewriteAssetUrls(entry.body, entry.contentType, assetContext),
+        });
+    }
+
+    if (cachedEntry) {
+        const state = entryState(cachedEntry, cachePolicy);
+        if (state === "fresh") {
+            return catalogResponse(cachedEntry, "hit");
+        }
+        if (state === "stale") {
+            // Serve the stale copy now and refresh it behind the response
+            const { key } = cachePolicy;
+            if (!revalidating.has(key)) {
+                const revalidate = (async () => {
+                    const response = await fetchUpstream(url, options, { family: verdict.family });
+                    if (!response.ok) throw new Error(`Upstream ${response.status} ${response.statusText}`);
+                    const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+                    await writeCatalogEntry(catalogStore, key, catalogBody(await response.text(), contentType), cachedEntry);
+                    log.info("catalog revalidated", { path: cachePolicy.path });
+                })()
+                    .catch(err => log.warn("catalog revalidation failed", { path: cachePolicy.path, error: errorFields(err) }))
+                    .finally(() => revalidating.delete(key));
+                revalidating.set(key, revalidate);
+                if (_context && typeof _context.waitUntil === "function") _context.waitUntil(revalidate);
+            }
+            return catalogResponse(cachedEntry, "stale");
+        }
+    }
+
+    const renderStore = renderKey ? await getStorage("pulseid-renders", event) : null;
+
+    // X-Render-Signature lets the widget turn this render's URL into a long-lived one (`sig=`)
+    function renderResponse(entry, cacheStatus) {
+        const notModified = isNotModified(entry, event.headers);
+        return respond.send({
+            statusCode: notModified ? 304 : 200,
+            contentType: entry.contentType,
+            headers: { ...renderCacheHeaders(entry, cacheStatus), "X-Render-Signature": signRender(renderKey.hash, tenant) },
+            body: notModified ? "" : entry.base64,
+            isBase64Encoded: !notModified,
+        });
+    }
+
+    if (renderKey) {
+        const cachedRender = await readRender(renderStore, renderKey);
+        if (cachedRender) return renderResponse(cachedRender, "hit");
+    }
+
+    // Resized / re-encoded thumbnails (`w=120&fmt=webp`), cached per variant
+    const imageTransform = method === "GET" && verdict.family !== "render" ? parseImageTransform({ w, fmt }, event.headers) : null;
+    const imageKey = imageTransform ? imageCacheKey(url, tenant, imageTransform) : null;
+    const imageStore = imageKey ? await getStorage("pulseid-images", event) : null;
+
+    function imageResponse(entry, cacheStatus) {
+        const notModified = isNotModified(entry, event.headers);
+        return respond.send({
+            statusCode: notModified ? 304 : 200,
+            contentType: entry.contentType,
+            headers: imageCacheHeaders(entry, cacheStatus),
+            body: notModified ? "" : entry.base64,
+            isBase64Encoded: !notModified,
+        });
+    }
+
+    if (imageKey) {
+        const cachedImage = await readImage(imageStore, imageKey);
+        if (cachedImage) return imageResponse(cachedImage, "hit");
+    }
+
     try {
-        const response = await fetch(url, options);
+        const response = await fetchUpstream(url, options, { family: verdict.family, deadline });
         const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
 
-        // Basic response logging
-        console.log(`[PulseID] ${method} ${url} -> ${response.status} ${response.statusText}`);
-        console.log(`[PulseID] Content-Type: ${contentType || 'n/a'}`);
+        annotateRequest({ contentType: contentType || undefined });
+
+        // PulseID is erroring: a catalog request can still be answered from the last good copy
+        if (response.status >= 500 && cachedEntry) {
+            log.warn("serving cached catalog after upstream error", { path: cachePolicy.path, upstreamStatus: response.status });
+            return catalogResponse(cachedEntry, "stale");
+        }
 
         // If upstream failed, log and forward the error body
         if (!response.ok) {
@@ -89,87 +407,93 @@ export async function handler(event, _context) {
             try {
                 if (contentType.includes("application/json")) {
                     errorBody = await response.json();
-                    console.error("[PulseID] Error JSON:", errorBody);
                 } else {
                     errorBody = await response.text();
-                    console.error("[PulseID] Error Text:", errorBody);
                 }
+                // PulseID error messages can echo the shopper's text back
+                const bodyText = typeof errorBody === "string" ? errorBody : JSON.stringify(errorBody);
+                log.warn("upstream error", {
+                    url: redactUrl(url),
+                    upstreamStatus: response.status,
+                    body: redactValues(bodyText, Object.entries(forwardParams).filter(([k]) => /(^|\.)text$/i.test(k)).map(([, v]) => v)).slice(0, 500),
+                });
             } catch (parseErr) {
-                console.error("[PulseID] Error parsing error body:", parseErr);
+                log.warn("upstream error body unreadable", { upstreamStatus: response.status, error: errorFields(parseErr) });
                 errorBody = `Upstream error ${response.status}: unable to parse body`;
             }
 
-            return {
+            return respond.send({
                 statusCode: response.status,
-                headers: {
-                    "Access-Control-Allow-Origin": "*",
-                    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                    "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                    "Content-Type": contentType || "text/plain",
-                    "Cache-Control": "no-store"
-                },
-                body: typeof errorBody === "string" ? errorBody : JSON.stringify(errorBody)
-            };
+                contentType: contentType || "text/plain",
+                body: typeof errorBody === "string" ? errorBody : JSON.stringify(errorBody),
+            });
         }
 
         // Handle images (e.g., PNG, JPEG) as base64
         if (contentType.startsWith("image/")) {
             const buffer = await response.arrayBuffer();
-            return {
+            if (renderKey) {
+                const entry = await writeRender(renderStore, renderKey, { base64: Buffer.from(buffer).toString("base64"), contentType });
+                return renderResponse(entry, "miss");
+            }
+            if (imageKey) {
+                try {
+                    const entry = await transformImage(imageStore, imageKey, Buffer.from(buffer), contentType, imageTransform);
+                    return imageResponse(entry, "miss");
+                } catch (err) {
+                    // Unsupported or corrupt source: the original image is better than an error
+                    log.warn("image transform failed", { url: redactUrl(url), error: errorFields(err) });
+                }
+            }
+            return respond.send({
                 statusCode: response.status,
-                headers: {
-                    "Access-Control-Allow-Origin": "*",
-                    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                    "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                    "Content-Type": contentType,
-                    "Cache-Control": "no-store"
-                },
+                contentType,
                 body: Buffer.from(buffer).toString("base64"),
-                isBase64Encoded: true
-            };
+                isBase64Encoded: true,
+            });
         }
 
         // If upstream is not JSON, pass through as text (covers text/plain, text/html, etc.)
         if (!contentType || !contentType.includes("application/json")) {
             const text = await response.text();
-            return {
+            if (cachePolicy) {
+                const entry = await writeCatalogEntry(catalogStore, cachePolicy.key, catalogBody(text, contentType), cachedEntry);
+                return catalogResponse(entry, "miss");
+            }
+            return respond.send({
                 statusCode: response.status,
-                headers: {
-                    "Access-Control-Allow-Origin": "*",
-                    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                    "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                    "Content-Type": contentType || "text/plain",
-                    "Cache-Control": "no-store"
-                },
-                body: text
-            };
+                contentType: contentType || "text/plain",
+                body: rewriteAssetUrls(text, contentType || "text/plain", assetContext),
+            });
         }
 
         // Default: JSON
+        if (cachePolicy) {
+            const entry = await writeCatalogEntry(catalogStore, cachePolicy.key, catalogBody(await response.text(), contentType), cachedEntry);
+            return catalogResponse(entry, "miss");
+        }
         const data = await response.json();
-        return {
+        return respond.send({
             statusCode: response.status,
-            headers: {
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                "Content-Type": "application/json",
-                "Cache-Control": "no-store"
-            },
-            body: JSON.stringify(data),
-        };
+            contentType: "application/json",
+            body: rewriteAssetUrls(JSON.stringify(data), "application/json", assetContext),
+        });
     } catch (error) {
-        console.error('Error fetching from PulseID API:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
-                "Access-Control-Allow-Headers": "Content-Type, apiKey, company",
-                "Content-Type": "application/json",
-                "Cache-Control": "no-store"
-            },
-            body: JSON.stringify({ error: error.message }),
-        };
+        log.error("upstream request failed", { url: redactUrl(url), error: errorFields(error) });
+
+        // Breaker open, timed out or unreachable: fall back to the last good catalog response
+        if (cachedEntry) {
+            return catalogResponse(cachedEntry, "stale");
+        }
+
+        if (error instanceof CircuitOpenError || error instanceof UpstreamTimeoutError) {
+            return respond.json(
+                error.statusCode,
+                { error: error.message, code: error.code, retryAfter: error.retryAfter },
+                error.retryAfter ? { "Retry-After": String(error.retryAfter) } : undefined
+            );
+        }
+
+        return respond.json(500, { error: error.message });
     }
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+/* global process */
+
+/**
+ * Rewrites PulseID asset references in catalog responses into ready-to-use proxy URLs.
+ *
+ * PulseID payloads point at images either with a `{api domain}` placeholder
+ * ("{api domain}/Content/Fonts/Block.png") or with absolute URLs on the tenant's host. Both
+ * are turned into absolute URLs on this site's proxy (…/api/pulseid-proxy?tenant=…&endpoint=…),
+ * so the widget never needs to know the PulseID hostname and every image load goes through
+ * the proxy's policy and caching.
+ */
+
+const API_DOMAIN_TOKEN = "{api domain}";
+
+// Fields that hold an image URL even when it's already absolute
+const ASSET_FIELD = /(preview|thumbnail|image)ur[il]$/i;
+
+/**
+ * Public URL of this proxy as the browser reaches it: PULSEID_PROXY_BASE_URL (e.g. behind
+ * another CDN), else the site URL Netlify sets at build and run time, else a site-relative
+ * path. Never taken from request headers - a forged Host would otherwise end up in the asset
+ * URLs of responses that shared caches keep.
+ * @param {Record<string, string|undefined>=} env
+ * @returns {string}
+ */
+export function proxyPublicBase(env = process.env) {
+    if (env.PULSEID_PROXY_BASE_URL) return env.PULSEID_PROXY_BASE_URL.replace(/\/+$/, "");
+    if (env.URL) return `${env.URL.replace(/\/+$/, "")}/api/pulseid-proxy`;
+    return "/api/pulseid-proxy";
+}
+
+/**
+ * Proxy URL for one asset reference, or the value unchanged when it isn't a PulseID asset.
+ * @param {string} value
+ * @param {{ tenant: import('./tenants.js').Tenant, base: string }} ctx
+ * @param {boolean} isAssetField - absolute URLs are only rewritten in known asset fields
+ */
+function rewriteValue(value, { tenant, base }, isAssetField) {
+    const trimmed = value.trim();
+    const tenantParam = `tenant=${encodeURIComponent(tenant.id)}`;
+
+    if (trimmed.startsWith(API_DOMAIN_TOKEN)) {
+        const rest = trimmed.slice(API_DOMAIN_TOKEN.length);
+        return `${base}?${tenantParam}&endpoint=${encodeURIComponent(rest.startsWith("/") ? rest : `/${rest}`)}`;
+    }
+    if (!isAssetField || !/^https?:\/\//i.test(trimmed)) return value;
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch {
+        return value;
+    }
+    if (parsed.origin === tenant.origin) {
+        return `${base}?${tenantParam}&endpoint=${encodeURIComponent(parsed.pathname + parsed.search)}`;
+    }
+    if (tenant.assetOrigins.includes(parsed.origin)) {
+        return `${base}?${tenantParam}&url=${encodeURIComponent(trimmed)}`;
+    }
+    return value;
+}
+
+function walk(node, ctx, key) {
+    if (typeof node === "string") return rewriteValue(node, ctx, ASSET_FIELD.test(key || ""));
+    if (Array.isArray(node)) return node.map(item => walk(item, ctx, key));
+    if (node && typeof node === "object") {
+        return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, walk(v, ctx, k)]));
+    }
+    return node;
+}
+
+/**
+ * Rewrite asset references in a response body.
+ * @param {string} body
+ * @param {string} contentType
+ * @param {{ tenant: import('./tenants.js').Tenant, base: string }} ctx
+ * @returns {string}
+ */
+export function rewriteAssetUrls(body, contentType, ctx) {
+    if (!body) return body;
+    if (contentType.includes("application/json")) {
+        if (!body.includes(API_DOMAIN_TOKEN) && !body.includes(ctx.tenant.origin) &&
+            !ctx.tenant.assetOrigins.some(o => body.includes(o))) {
+            return body;
+        }
+        try {
+            return JSON.stringify(walk(JSON.parse(body), ctx, null));
+        } catch {
+            return body;
+        }
+    }
+    // Templates/GetThumbnail answers with a bare URL as text
+    if (contentType.startsWith("text/plain")) return rewriteValue(body, ctx, true);
+    return body;
+}
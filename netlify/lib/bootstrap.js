@@ -0,0 +1,114 @@
+import { log, errorFields } from "./log.js";
+
+/**
+ * Designer bootstrap: everything the widget needs before its first paint, in one response.
+ *
+ * Without it the widget fires GetProduct, GetFonts, GetColours, ListTemplates and GetDesigns
+ * separately and then one Templates/GetThumbnail per template. Here the same calls fan out
+ * server-side (each still going through the proxy's policy and catalog cache) and come back
+ * filtered and with thumbnails resolved.
+ */
+
+export const DEFAULT_FONT_TYPE = "embroidery-template";
+export const DEFAULT_TEMPLATE_PREFIX = "RBG_";
+
+/**
+ * @callback FetchEndpoint
+ * @param {string} endpoint - PulseID endpoint path, e.g. "/api/api/Fonts/GetFonts"
+ * @param {Record<string, string>=} params - extra query parameters
+ * @returns {Promise<{ statusCode: number, body: string }>}
+ */
+
+/**
+ * @typedef {Object} BootstrapPayload
+ * @property {Object|null} product
+ * @property {Object[]} fonts - filtered to `fontType`
+ * @property {Object[]} colours
+ * @property {Object[]} templates - filtered to `templatePrefix`, each with ThumbnailUrl
+ * @property {Object[]} designs
+ * @property {Record<string, string>} errors - per-section failures; the rest of the payload is still usable
+ */
+
+/**
+ * Call an endpoint through the proxy and parse its JSON body; non-2xx responses throw.
+ * @param {FetchEndpoint} fetchEndpoint
+ * @param {string} endpoint
+ * @param {Record<string, string>=} params
+ */
+export async function getJson(fetchEndpoint, endpoint, params) {
+    const res = await fetchEndpoint(endpoint, params);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw new Error(`${endpoint} returned ${res.statusCode}`);
+    }
+    return JSON.parse(res.body);
+}
+
+async function getText(fetchEndpoint, endpoint, params) {
+    const res = await fetchEndpoint(endpoint, params);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw new Error(`${endpoint} returned ${res.statusCode}`);
+    }
+    return String(res.body || "").trim();
+}
+
+/**
+ * Does a PulseID font belong to `fontType`? FontType is a comma-delimited list.
+ * @param {{ FontType?: string }} font
+ * @param {string} fontType
+ */
+export function hasFontType(font, fontType) {
+    return typeof font.FontType === "string" && font.FontType.split(",").map(type => type.trim()).includes(fontType);
+}
+
+/**
+ * Fan out the catalog calls and assemble the bootstrap payload. Sections fail independently,
+ * the same way the widget's individual fetches do.
+ * @param {FetchEndpoint} fetchEndpoint
+ * @param {{ variantId?: string, fontType?: string, templatePrefix?: string }} options
+ * @returns {Promise<BootstrapPayload>}
+ */
+export async function loadBootstrap(fetchEndpoint, { variantId, fontType, templatePrefix }) {
+    const wantFontType = fontType || DEFAULT_FONT_TYPE;
+    const prefix = templatePrefix || DEFAULT_TEMPLATE_PREFIX;
+    const errors = {};
+
+    const section = (name, fallback, work) => work().catch(err => {
+        log.warn("bootstrap section failed", { section: name, error: errorFields(err) });
+        errors[name] = err.message;
+        return fallback;
+    });
+
+    const [product, fonts, colours, templates, designs] = await Promise.all([
+        section("product", null, async () => {
+            if (!variantId) throw new Error("Missing variantId");
+            return getJson(fetchEndpoint, "/api/api/Designer/GetProduct", { variantId });
+        }),
+        section("fonts", [], async () => {
+            const data = await getJson(fetchEndpoint, "/api/api/Fonts/GetFonts");
+            return (Array.isArray(data) ? data : []).filter(f => hasFontType(f, wantFontType));
+        }),
+        section("colours", [], async () => {
+            const data = await getJson(fetchEndpoint, "/api/api/Colours/GetColours");
+            return Array.isArray(data) ? data : [];
+        }),
+        section("templates", [], async () => {
+            const data = await getJson(fetchEndpoint, "/api/api/Templates/ListTemplates");
+            const matching = (Array.isArray(data) ? data : []).filter(t => typeof t.Code === "string" && t.Code.startsWith(prefix));
+            return Promise.all(matching.map(async (t) => {
+                let thumb = "";
+                try {
+                    thumb = await getText(fetchEndpoint, "/api/api/Templates/GetThumbnail", { id: t.Code });
+                } catch (err) {
+                    log.warn("bootstrap thumbnail failed", { template: t.Code, error: errorFields(err) });
+                }
+                return { ...t, ThumbnailUrl: thumb };
+            }));
+        }),
+        section("designs", [], async () => {
+            const data = await getJson(fetchEndpoint, "/api/api/Designs/GetDesigns");
+            return Array.isArray(data) ? data : [];
+        }),
+    ]);
+
+    return { product, fonts, colours, templates, designs, errors };
+}
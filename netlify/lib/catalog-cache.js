@@ -0,0 +1,224 @@
+/* global process, Buffer */
+import { createHash, timingSafeEqual } from "node:crypto";
+import { log, errorFields } from "./log.js";
+
+/**
+ * Caching for the PulseID catalog endpoints every page load hits (fonts, colours, templates,
+ * designs). Entries are stored per tenant and upstream URL, carry an ETag/Last-Modified for
+ * conditional requests, and are served stale (while revalidating) for a grace window after
+ * their TTL runs out.
+ */
+
+// Seconds an entry is served as fresh, keyed by endpoint path (after /api/api/).
+// Override with PULSEID_CACHE_TTLS, e.g. {"Designs/GetDesigns": 300}.
+const DEFAULT_TTLS = {
+    "Fonts/GetFonts": 3600,
+    "Colours/GetColours": 3600,
+    "Templates/ListTemplates": 900,
+    "Templates/GetThumbnail": 3600,
+    "Designs/GetDesigns": 900,
+};
+
+// Seconds past the TTL during which a stale entry may still be served while it is refreshed.
+const DEFAULT_STALE_SECONDS = 86400;
+
+let ttlTable = null;
+
+function getTtls() {
+    if (ttlTable) return ttlTable;
+    let overrides = {};
+    if (process.env.PULSEID_CACHE_TTLS) {
+        try {
+            overrides = JSON.parse(process.env.PULSEID_CACHE_TTLS);
+        } catch (err) {
+            log.error("ignoring invalid PULSEID_CACHE_TTLS", { error: errorFields(err) });
+        }
+    }
+    // Compare paths case-insensitively, the same way the endpoint policy does
+    ttlTable = {};
+    for (const [path, ttl] of Object.entries({ ...DEFAULT_TTLS, ...overrides })) {
+        ttlTable[path.toLowerCase()] = Number(ttl);
+    }
+    return ttlTable;
+}
+
+function getStaleSeconds() {
+    const n = Number(process.env.PULSEID_CACHE_STALE_SECONDS);
+    return Number.isFinite(n) && n >= 0 ? n : DEFAULT_STALE_SECONDS;
+}
+
+/**
+ * @typedef {Object} CatalogCachePolicy
+ * @property {string} key - storage key: "<tenant>/<endpoint path>/<url hash>"
+ * @property {string} path - endpoint path, e.g. "Fonts/GetFonts"
+ * @property {number} ttl - seconds fresh
+ * @property {number} stale - seconds servable after going stale
+ */
+
+/**
+ * Cache policy for a GET of `url`, or null when the endpoint isn't a cached catalog endpoint.
+ * @param {string} url - fully-qualified upstream URL
+ * @param {import('./tenants.js').Tenant} tenant
+ * @returns {CatalogCachePolicy|null}
+ */
+export function catalogCachePolicy(url, tenant) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const m = parsed.pathname.match(/^\/api\/(?:api\/)?(.+?)\/*$/i);
+    if (!m) return null;
+    const path = m[1];
+    const ttl = getTtls()[path.toLowerCase()];
+    if (!(ttl > 0)) return null;
+
+    const hash = createHash("sha1").update(url).digest("hex");
+    return { key: `${tenant.id}/${path.toLowerCase()}/${hash}`, path, ttl, stale: getStaleSeconds() };
+}
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} body
+ * @property {string} contentType
+ * @property {string} etag - quoted strong validator
+ * @property {string} lastModified - HTTP date
+ * @property {number} storedAt - epoch ms
+ */
+
+/**
+ * @param {import('./storage.js').Storage} store
+ * @param {string} key
+ * @returns {Promise<CatalogEntry|null>}
+ */
+export async function readCatalogEntry(store, key) {
+    try {
+        const item = await store.get(key);
+        if (!item) return null;
+        return { body: item.data, ...item.metadata };
+    } catch (err) {
+        // A broken cache must never break the widget; fall back to upstream
+        log.error("catalog cache read failed", { error: errorFields(err) });
+        return null;
+    }
+}
+
+/**
+ * What a catalog response is cached as: JSON re-serialized compactly, anything else as sent.
+ * Every path that stores an entry goes through here, so the ETag only moves when the content
+ * does.
+ * @param {string} text - upstream body
+ * @param {string} contentType - upstream Content-Type, lower-cased ("" when missing)
+ * @returns {{ body: string, contentType: string }}
+ */
+export function catalogBody(text, contentType) {
+    return contentType.includes("application/json")
+        ? { body: JSON.stringify(JSON.parse(text)), contentType: "application/json" }
+        : { body: text, contentType: contentType || "text/plain" };
+}
+
+/**
+ * Store a fresh upstream body (from catalogBody()). The ETag is a hash of the body, so an
+ * unchanged catalog keeps its validator across refreshes and Last-Modified only moves when the
+ * content changes.
+ * @param {import('./storage.js').Storage} store
+ * @param {string} key
+ * @param {{ body: string, contentType: string }} response
+ * @param {CatalogEntry|null=} previous
+ * @returns {Promise<CatalogEntry>}
+ */
+export async function writeCatalogEntry(store, key, { body, contentType }, previous) {
+    const etag = `"${createHash("sha1").update(body).digest("hex")}"`;
+    const now = Date.now();
+    const entry = {
+        body,
+        contentType,
+        etag,
+        lastModified: previous && previous.etag === etag ? previous.lastModified : new Date(now).toUTCString(),
+        storedAt: now,
+    };
+    try {
+        const { body: data, ...metadata } = entry;
+        await store.set(key, data, metadata);
+    } catch (err) {
+        log.error("catalog cache write failed", { error: errorFields(err) });
+    }
+    return entry;
+}
+
+/**
+ * "fresh" within the TTL, "stale" within the grace window after it, otherwise "expired".
+ * @param {CatalogEntry} entry
+ * @param {CatalogCachePolicy} policy
+ * @param {number=} now
+ * @returns {"fresh"|"stale"|"expired"}
+ */
+export function entryState(entry, policy, now = Date.now()) {
+    const age = (now - entry.storedAt) / 1000;
+    if (age < policy.ttl) return "fresh";
+    if (age < policy.ttl + policy.stale) return "stale";
+    return "expired";
+}
+
+/**
+ * Does the client's conditional request (If-None-Match / If-Modified-Since) match the entry?
+ * @param {CatalogEntry} entry
+ * @param {Record<string, string>=} headers - request headers
+ */
+export function isNotModified(entry, headers) {
+    const h = headers || {};
+    const inm = h["if-none-match"] || h["If-None-Match"];
+    if (inm) {
+        const tags = inm.split(",").map(t => t.trim().replace(/^W\//, ""));
+        return tags.includes("*") || tags.includes(entry.etag);
+    }
+    const ims = h["if-modified-since"] || h["If-Modified-Since"];
+    if (ims) {
+        const since = Date.parse(ims);
+        return Number.isFinite(since) && Date.parse(entry.lastModified) <= since;
+    }
+    return false;
+}
+
+/**
+ * Caching headers for a catalog response.
+ * @param {CatalogEntry} entry
+ * @param {CatalogCachePolicy} policy
+ * @param {"hit"|"stale"|"miss"} status
+ */
+export function catalogCacheHeaders(entry, policy, status) {
+    return {
+        "Cache-Control": `public, max-age=${policy.ttl}, stale-while-revalidate=${policy.stale}`,
+        "ETag": entry.etag,
+        "Last-Modified": entry.lastModified,
+        "X-Cache": status.toUpperCase(),
+    };
+}
+
+/**
+ * Drop cached catalog entries for a tenant, optionally only for one endpoint path.
+ * @param {import('./storage.js').Storage} store
+ * @param {string} tenantId
+ * @param {string=} endpointPath - e.g. "Fonts/GetFonts"; omit to purge everything for the tenant
+ * @returns {Promise<number>} number of entries removed
+ */
+export async function purgeCatalogCache(store, tenantId, endpointPath) {
+    const path = (endpointPath || "").replace(/^\/?(api\/)?(api\/)?/i, "").replace(/\/+$/, "").toLowerCase();
+    return store.deletePrefix(path ? `${tenantId}/${path}/` : `${tenantId}/`);
+}
+
+/**
+ * Purge requests must carry `Authorization: Bearer <PULSEID_CACHE_PURGE_TOKEN>`. Purging is
+ * disabled entirely when the token isn't configured.
+ * @param {Record<string, string>=} headers
+ */
+export function isPurgeAuthorized(headers) {
+    const expected = process.env.PULSEID_CACHE_PURGE_TOKEN;
+    if (!expected) return false;
+    const h = headers || {};
+    const auth = h.authorization || h.Authorization || "";
+    const given = Buffer.from(auth.replace(/^Bearer\s+/i, ""));
+    const want = Buffer.from(expected);
+    return given.length === want.length && timingSafeEqual(given, want);
+}
@@ -0,0 +1,88 @@
+/* global process */
+import { originMatches, tenantSiteOrigins } from "./tenants.js";
+
+/**
+ * CORS for the PulseID proxy.
+ *
+ * Allowed origins are the storefront origins listed on the tenants (siteOrigins) plus
+ * PULSEID_CORS_ORIGINS, a comma-separated list for extra hosts such as BigCommerce preview
+ * domains ("https://*.mybigcommerce.com") or local dev ("http://localhost:*"). Localhost is
+ * allowed automatically under `netlify dev`. With no origins configured at all, the proxy
+ * falls back to `Access-Control-Allow-Origin: *`.
+ */
+
+const ALLOW_METHODS = "GET, POST, OPTIONS";
+const ALLOW_HEADERS = "Content-Type, Authorization, X-Request-Id";
+const EXPOSE_HEADERS = "X-Request-Id, X-Cache, Retry-After, X-Render-Signature";
+const PREFLIGHT_MAX_AGE = "600";
+
+function allowedOrigins() {
+    const fromEnv = (process.env.PULSEID_CORS_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+    const dev = process.env.NETLIFY_DEV === "true" ? ["http://localhost:*", "http://127.0.0.1:*"] : [];
+    return [...fromEnv, ...tenantSiteOrigins(), ...dev];
+}
+
+/**
+ * Origin header of a request, if any.
+ * @param {Record<string, string>=} headers
+ * @returns {string|null}
+ */
+export function requestOrigin(headers) {
+    const h = headers || {};
+    return h.origin || h.Origin || null;
+}
+
+/**
+ * Is this request's Origin allowed? Requests without an Origin (same-origin, <img> loads,
+ * server-to-server) aren't subject to CORS and always pass.
+ * @param {Record<string, string>=} headers
+ */
+export function isOriginAllowed(headers) {
+    const origin = requestOrigin(headers);
+    if (!origin) return true;
+    const list = allowedOrigins();
+    return list.length === 0 || list.some(p => originMatches(p, origin));
+}
+
+/**
+ * CORS response headers for a request: the caller's origin echoed back when allowed, nothing
+ * that grants access otherwise. Always varies on Origin so shared caches keep per-origin copies.
+ * @param {Record<string, string>=} headers - request headers
+ * @returns {Record<string, string>}
+ */
+export function corsHeaders(headers) {
+    const origin = requestOrigin(headers);
+    const list = allowedOrigins();
+    const out = { "Vary": "Origin" };
+
+    let allow = null;
+    if (list.length === 0) allow = "*";
+    else if (origin && list.some(p => originMatches(p, origin))) allow = origin;
+    if (!allow) return out;
+
+    return {
+        ...out,
+        "Access-Control-Allow-Origin": allow,
+        "Access-Control-Allow-Methods": ALLOW_METHODS,
+        "Access-Control-Allow-Headers": ALLOW_HEADERS,
+        "Access-Control-Expose-Headers": EXPOSE_HEADERS,
+    };
+}
+
+/**
+ * Answer an OPTIONS preflight without touching PulseID.
+ * @param {import('@netlify/functions').HandlerEvent} event
+ * @returns {import('@netlify/functions').HandlerResponse}
+ */
+export function preflightResponse(event) {
+    const allowed = isOriginAllowed(event.headers);
+    return {
+        statusCode: allowed ? 204 : 403,
+        headers: {
+            ...corsHeaders(event.headers),
+            ...(allowed ? { "Access-Control-Max-Age": PREFLIGHT_MAX_AGE } : {}),
+            "Cache-Control": "no-store",
+        },
+        body: "",
+    };
+}
@@ -0,0 +1,145 @@
+/* global process */
+import { createHash } from "node:crypto";
+import { log, errorFields } from "./log.js";
+
+/**
+ * On-the-fly resizing and re-encoding of PulseID images (font previews, template and design
+ * thumbnails), requested with `w=<px>` and/or `fmt=webp|avif|png|jpeg|auto` on any proxied
+ * image URL. The selectors show these at 24-90 CSS pixels, so there's no point shipping the
+ * full-size originals.
+ *
+ * Widths are rounded up to a multiple of WIDTH_STEP (and capped) so a handful of variants per
+ * image end up in the cache, not one per pixel. The output format honours `Accept`: a WebP or
+ * AVIF request from a browser that doesn't advertise support gets the source format back.
+ */
+
+const WIDTH_STEP = 8;
+const MAX_WIDTH = 1024;
+const FORMATS = ["webp", "avif", "png", "jpeg"];
+const MIME = { webp: "image/webp", avif: "image/avif", png: "image/png", jpeg: "image/jpeg" };
+
+// Thumbnails change rarely but aren't content-addressed like renders; a day keeps them fresh enough
+const DEFAULT_IMAGE_MAX_AGE = 24 * 3600;
+
+/**
+ * @typedef {Object} ImageTransform
+ * @property {number|null} width
+ * @property {"webp"|"avif"|"png"|"jpeg"|"original"} format
+ */
+
+function acceptHeader(headers) {
+    const h = headers || {};
+    return h.accept || h.Accept || "";
+}
+
+/**
+ * Transform requested by `w` / `fmt` query parameters, or null for none.
+ * @param {{ w?: string, fmt?: string }} query
+ * @param {Record<string, string>=} headers - request headers, for Accept
+ * @returns {ImageTransform|null}
+ */
+export function parseImageTransform({ w, fmt }, headers) {
+    if (!w && !fmt) return null;
+
+    let width = null;
+    const n = parseInt(w, 10);
+    if (Number.isFinite(n) && n > 0) {
+        width = Math.min(MAX_WIDTH, Math.ceil(n / WIDTH_STEP) * WIDTH_STEP);
+    }
+
+    const accept = acceptHeader(headers);
+    const wanted = String(fmt || "auto").toLowerCase();
+    let format = "original";
+    if (wanted === "auto") {
+        if (accept.includes(MIME.avif)) format = "avif";
+        else if (accept.includes(MIME.webp)) format = "webp";
+    } else if (FORMATS.includes(wanted)) {
+        // PNG/JPEG work everywhere; WebP/AVIF only for clients that say so (or that send no
+        // Accept at all, e.g. curl and server-side callers)
+        const universal = wanted === "png" || wanted === "jpeg";
+        if (universal || !accept || accept.includes(MIME[wanted])) format = wanted;
+    }
+
+    if (!width && format === "original") return null;
+    return { width, format };
+}
+
+/**
+ * Storage key for a transformed image: "<tenant>/img/<sha256 of upstream URL>/<width>.<format>".
+ * @param {string} url - upstream image URL
+ * @param {import('./tenants.js').Tenant} tenant
+ * @param {ImageTransform} transform
+ */
+export function imageCacheKey(url, tenant, { width, format }) {
+    const hash = createHash("sha256").update(url).digest("hex");
+    return `${tenant.id}/img/${hash}/${width || "full"}.${format}`;
+}
+
+/**
+ * @typedef {Object} ImageEntry
+ * @property {string} base64
+ * @property {string} contentType
+ * @property {string} etag
+ */
+
+/**
+ * @param {import('./storage.js').Storage} store
+ * @param {string} key
+ * @returns {Promise<ImageEntry|null>}
+ */
+export async function readImage(store, key) {
+    try {
+        const item = await store.get(key);
+        if (!item) return null;
+        return { base64: item.data, contentType: item.metadata.contentType, etag: item.metadata.etag };
+    } catch (err) {
+        log.error("image cache read failed", { error: errorFields(err) });
+        return null;
+    }
+}
+
+/**
+ * Resize / re-encode `source` and store the result.
+ * @param {import('./storage.js').Storage} store
+ * @param {string} key
+ * @param {Buffer} source
+ * @param {string} sourceType - Content-Type of the source image
+ * @param {ImageTransform} transform
+ * @returns {Promise<ImageEntry>}
+ */
+export async function transformImage(store, key, source, sourceType, { width, format }) {
+    const { default: sharp } = await import("sharp");
+    let pipeline = sharp(source);
+    if (width) pipeline = pipeline.resize({ width, withoutEnlargement: true });
+    if (format !== "original") pipeline = pipeline.toFormat(format, { quality: 80 });
+
+    const output = await pipeline.toBuffer();
+    const entry = {
+        base64: output.toString("base64"),
+        contentType: format === "original" ? sourceType : MIME[format],
+        etag: `"${createHash("sha1").update(output).digest("hex")}"`,
+    };
+    try {
+        await store.set(key, entry.base64, { contentType: entry.contentType, etag: entry.etag, storedAt: Date.now() });
+    } catch (err) {
+        log.error("image cache write failed", { error: errorFields(err) });
+    }
+    return entry;
+}
+
+/**
+ * Caching headers for a transformed image. Varies on Accept because `fmt=auto`/`webp`
+ * depend on it.
+ * @param {ImageEntry} entry
+ * @param {"hit"|"miss"} status
+ */
+export function imageCacheHeaders(entry, status) {
+    const n = Number(process.env.PULSEID_IMAGE_MAX_AGE);
+    const maxAge = Number.isFinite(n) && n >= 0 ? n : DEFAULT_IMAGE_MAX_AGE;
+    return {
+        "Cache-Control": `public, max-age=${maxAge}`,
+        "ETag": entry.etag,
+        "Vary": "Origin, Accept",
+        "X-Cache": status.toUpperCase(),
+    };
+}
@@ -0,0 +1,148 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Structured logging for the PulseID proxy.
+ *
+ * Every line is a single JSON object carrying the current request ID, so function logs can
+ * be filtered per request and correlated with the `X-Request-Id` header the widget sees.
+ * Each request ends with one summary line ("request") holding the endpoint family, status,
+ * upstream status, latency and cache result - these double as the proxy's metrics.
+ *
+ * Shopper personalization text is never logged: pass upstream URLs through redactUrl() and
+ * free text that may echo it (upstream error bodies) through redactValues().
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} requestId
+ * @property {Record<string, any>} fields - accumulated summary fields (family, upstreamStatus, ...)
+ */
+
+/** @type {AsyncLocalStorage<RequestContext>} */
+const requestContext = new AsyncLocalStorage();
+
+// Query keys whose values are shopper-entered text
+const SENSITIVE_PARAM = /(^|\.)text$/i;
+
+/**
+ * URL with personalization text in its query string redacted.
+ * @param {string} url
+ */
+export function redactUrl(url) {
+    try {
+        const u = new URL(url);
+        for (const key of [...u.searchParams.keys()]) {
+            if (SENSITIVE_PARAM.test(key)) u.searchParams.set(key, "[redacted]");
+        }
+        return decodeURI(u.toString());
+    } catch {
+        return "[unparseable url]";
+    }
+}
+
+/**
+ * Replace any of `values` (e.g. the request's personalization texts) inside free text such as
+ * an upstream error body.
+ * @param {string} text
+ * @param {string[]} values
+ */
+export function redactValues(text, values) {
+    let out = String(text);
+    for (const v of values) {
+        if (v && v.trim()) out = out.split(v).join("[redacted]");
+    }
+    return out;
+}
+
+/**
+ * Loggable shape of an error (no stack noise for expected upstream failures).
+ * @param {any} err
+ */
+export function errorFields(err) {
+    if (!err) return undefined;
+    return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}) };
+}
+
+function emit(level, msg, fields) {
+    const ctx = requestContext.getStore();
+    const line = JSON.stringify({
+        ts: new Date().toISOString(),
+        level,
+        msg,
+        ...(ctx ? { requestId: ctx.requestId } : {}),
+        ...fields,
+    });
+    if (level === "error") console.error(line);
+    else if (level === "warn") console.warn(line);
+    else console.log(line);
+}
+
+export const log = {
+    /** @param {string} msg @param {Record<string, any>=} fields */
+    info: (msg, fields) => emit("info", msg, fields),
+    /** @param {string} msg @param {Record<string, any>=} fields */
+    warn: (msg, fields) => emit("warn", msg, fields),
+    /** @param {string} msg @param {Record<string, any>=} fields */
+    error: (msg, fields) => emit("error", msg, fields),
+};
+
+/**
+ * Add fields to the current request's summary line (e.g. family, upstreamStatus).
+ * @param {Record<string, any>} fields
+ */
+export function annotateRequest(fields) {
+    const ctx = requestContext.getStore();
+    if (ctx) Object.assign(ctx.fields, fields);
+}
+
+/**
+ * Reuse a caller-supplied request ID when it looks sane, else Netlify's, else a new UUID.
+ * @param {Record<string, string>=} headers
+ */
+function requestIdFrom(headers) {
+    const h = headers || {};
+    const given = h["x-request-id"] || h["X-Request-Id"];
+    if (given && /^[\w.-]{8,128}$/.test(given)) return given;
+    return h["x-nf-request-id"] || randomUUID();
+}
+
+/**
+ * Run a handler inside a request context: assigns the request ID, logs the summary line and
+ * returns the response with `X-Request-Id` set. Nested calls (bootstrap sub-requests) keep
+ * the parent's request ID and log as "subrequest".
+ * @param {import('@netlify/functions').HandlerEvent} event
+ * @param {() => Promise<import('@netlify/functions').HandlerResponse>} run
+ * @returns {Promise<import('@netlify/functions').HandlerResponse>}
+ */
+export function withRequestLogging(event, run) {
+    const parent = requestContext.getStore();
+    const ctx = { requestId: parent ? parent.requestId : requestIdFrom(event.headers), fields: {} };
+
+    return requestContext.run(ctx, async () => {
+        const started = Date.now();
+        const qp = event.queryStringParameters || {};
+        let response;
+        try {
+            response = await run();
+            return {
+                ...response,
+                headers: { ...response.headers, "X-Request-Id": ctx.requestId },
+            };
+        } catch (err) {
+            ctx.fields.error = errorFields(err);
+            throw err;
+        } finally {
+            const cacheHeader = response && response.headers && response.headers["X-Cache"];
+            emit(response ? "info" : "error", parent ? "subrequest" : "request", {
+                method: (qp.method || event.httpMethod || "GET").toUpperCase(),
+                route: /\/(bootstrap|purge|session|validate)\/?$/.exec(event.path || "")?.[1] || "proxy",
+                endpoint: qp.endpoint || (qp.url ? redactUrl(qp.url) : undefined),
+                status: response ? response.statusCode : 500,
+                latencyMs: Date.now() - started,
+                cache: cacheHeader ? String(cacheHeader).toLowerCase() : "bypass",
+                ...ctx.fields,
+            });
+        }
+    });
+}
@@ -0,0 +1,176 @@
+/* global process, Buffer */
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createHash } from "node:crypto";
+import { deflateSync } from "node:zlib";
+
+/**
+ * Offline stand-in for PulseID, enabled with PULSEID_MOCK=true.
+ *
+ * Catalog endpoints are answered from fixtures under PULSEID_FIXTURES_DIR (default
+ * netlify/fixtures/pulseid, found relative to this module whatever the working directory).
+ * The fixtures checked in are synthetic - hand-written in PulseID's response shapes, not
+ * recorded from a live tenant, and marked `"synthetic": true`; replace them with real responses
+ * with `npm run record:fixtures`. Orders/Render,
+ * Designs/RenderPNG and asset URLs (font previews, product images) get generated placeholder
+ * PNGs, coloured from the request so successive renders are visibly different. With no tenant
+ * configured, mock mode provides a "mock" tenant on MOCK_ORIGIN. The synthetic fixtures' asset
+ * URLs are under /Content/, so set PULSEID_ASSET_PATHS=/Content/ to see their previews.
+ *
+ * Fixture layout: `<endpoint path>.json`, or `<endpoint path>/<query>.json` for a specific
+ * query (e.g. Designer/GetProduct/variantId=1801.json), each holding
+ * `{ "status": 200, "contentType": "application/json", "body": ... }`.
+ *
+ * Deployed functions only carry the fixtures when they're listed under [functions]
+ * included_files in netlify.toml.
+ */
+
+export const MOCK_ORIGIN = "https://pulseid.mock";
+
+export function isMockUpstream() {
+    return process.env.PULSEID_MOCK === "true";
+}
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL("../fixtures/pulseid", import.meta.url));
+
+/**
+ * Absolute path of the fixtures directory; a relative PULSEID_FIXTURES_DIR is taken from the
+ * working directory.
+ * @returns {string}
+ */
+export function fixturesDir() {
+    return process.env.PULSEID_FIXTURES_DIR ? path.resolve(process.env.PULSEID_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR;
+}
+
+const safeSegment = (s) => s.replace(/[^a-z0-9._=-]/gi, "_");
+
+/**
+ * Fixture files for an upstream URL, most specific first.
+ * @param {string} url
+ * @returns {string[]} paths relative to the fixtures directory
+ */
+export function fixtureCandidates(url) {
+    const u = new URL(url);
+    const endpoint = u.pathname.replace(/^\/api\/(?:api\/)?/i, "").replace(/\/+$/, "");
+    const base = endpoint.split("/").map(safeSegment).join("/");
+    const query = [...u.searchParams].sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => `${k}=${v}`).join("&");
+    return query ? [`${base}/${safeSegment(query)}.json`, `${base}.json`] : [`${base}.json`];
+}
+
+// --- Placeholder PNGs ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * RGB PNG of `width` x `height`: a background with a centred panel.
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} background
+ * @param {[number, number, number]} panel
+ */
+export function placeholderPng(width, height, background, panel) {
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    const [x0, x1, y0, y1] = [width * 0.25, width * 0.75, height * 0.4, height * 0.6];
+    for (let y = 0; y < height; y++) {
+        const row = y * (width * 3 + 1); // first byte of each row: filter type 0
+        for (let x = 0; x < width; x++) {
+            const rgb = x >= x0 && x < x1 && y >= y0 && y < y1 ? panel : background;
+            raw.set(rgb, row + 1 + x * 3);
+        }
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: truecolour
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", deflateSync(raw)),
+        pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+
+// Pastel background derived from the request, so different renders look different
+function colourFor(seed) {
+    const h = createHash("sha1").update(seed).digest();
+    return [160 + (h[0] % 96), 160 + (h[1] % 96), 160 + (h[2] % 96)];
+}
+
+async function renderColour(params) {
+    const code = [...params].find(([k]) => /^Personalizations\[\d+\]\.TextColour$/i.test(k))?.[1];
+    if (!code) return [40, 40, 40];
+    const fixture = await readFixture(["Colours/GetColours.json"]);
+    const colours = fixture && Array.isArray(fixture.body) ? fixture.body : [];
+    const c = colours.find(x => x.Name === code || x.Code === code || String(x.Name).startsWith(`${code} - `));
+    return c ? [c.Red, c.Green, c.Blue] : colourFor(code);
+}
+
+async function readFixture(candidates) {
+    for (const rel of candidates) {
+        try {
+            return JSON.parse(await readFile(path.join(fixturesDir(), rel), "utf8"));
+        } catch (err) {
+            if (err.code !== "ENOENT") throw err;
+        }
+    }
+    return null;
+}
+
+function pngResponse(png) {
+    return new Response(png, { status: 200, headers: { "Content-Type": "image/png" } });
+}
+
+/**
+ * fetch() replacement that answers PulseID requests offline.
+ * @param {string} url
+ * @param {RequestInit=} _options
+ * @returns {Promise<Response>}
+ */
+export async function mockFetch(url, _options) {
+    const latency = Number(process.env.PULSEID_MOCK_LATENCY_MS) || 0;
+    if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+
+    const u = new URL(url);
+    if (/\/Orders\/Render\/*$/i.test(u.pathname)) {
+        return pngResponse(placeholderPng(600, 600, colourFor(u.search), await renderColour(u.searchParams)));
+    }
+    if (/\/Designs\/RenderPNG\//i.test(u.pathname)) {
+        return pngResponse(placeholderPng(160, 160, [255, 255, 255], colourFor(u.pathname)));
+    }
+    if (!/^\/api\//i.test(u.pathname)) {
+        // Asset URLs: font previews, product images, template thumbnails
+        return pngResponse(placeholderPng(240, 120, [245, 245, 245], colourFor(u.pathname)));
+    }
+
+    const fixture = await readFixture(fixtureCandidates(url));
+    if (!fixture) {
+        return new Response(JSON.stringify({ Message: `No mock fixture for ${u.pathname}` }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" },
+        });
+    }
+    const contentType = fixture.contentType || "application/json";
+    const body = typeof fixture.body === "string" ? fixture.body : JSON.stringify(fixture.body);
+    return new Response(body, { status: fixture.status || 200, headers: { "Content-Type": contentType } });
+}
@@ -0,0 +1,156 @@
+import { getJson, hasFontType } from "./bootstrap.js";
+import { createWordFilter, REVISE_TEXT_MESSAGE } from "../../src/profanity.js";
+import { lineConstraint, textViolations, tooLongMessage, invalidCharactersMessage } from "../../src/constraints.js";
+
+/**
+ * Server-side checks on shopper personalizations, run before a render reaches PulseID and
+ * available to the storefront (GET /validate) before an order is submitted.
+ *
+ * Rules, per text personalization:
+ * - the text fits the element's maximum length and uses only characters the chosen font can
+ *   stitch - the widget's own limits (src/constraints.js), from template and font metadata and
+ *   the tenant's `textConstraints`
+ * - the font is one of the tenant's font type (`embroidery-template` unless configured)
+ * - the colour exists in Colours/GetColours
+ * - the text contains no blocked words (src/profanity.js, shared with the widget)
+ * Catalog data comes through the proxy's own (cached) endpoints; the blocked-word check needs
+ * none and runs even when the catalogs can't be loaded.
+ */
+
+/**
+ * @typedef {Object} Personalization
+ * @property {number} index - position in the request's Personalizations[] list
+ * @property {string=} elementName
+ * @property {string=} text
+ * @property {string=} font
+ * @property {string=} colour
+ * @property {string=} design
+ */
+
+/**
+ * @typedef {Object} PersonalizationError
+ * @property {number} index
+ * @property {string|null} element - template element name
+ * @property {"text"|"font"|"colour"} field
+ * @property {"TOO_LONG"|"INVALID_CHARACTERS"|"UNKNOWN_FONT"|"UNKNOWN_COLOUR"|"BLOCKED_TEXT"} code
+ * @property {string} message - shopper-facing
+ * @property {number=} maxCharacters
+ * @property {string[]=} invalidCharacters
+ */
+
+/**
+ * Personalizations from a render query (`Personalizations[n].Text`, `.FontOverride`, ...).
+ * @param {Iterable<[string, string]>} params
+ * @returns {Personalization[]}
+ */
+export function parsePersonalizations(params) {
+    const byIndex = new Map();
+    for (const [key, value] of params) {
+        const m = key.match(/^Personalizations\[(\d+)\]\.(.+)$/i);
+        if (!m) continue;
+        const index = Number(m[1]);
+        if (!byIndex.has(index)) byIndex.set(index, { index });
+        const p = byIndex.get(index);
+        switch (m[2].toLowerCase()) {
+            case "elementname": p.elementName = value; break;
+            case "text": p.text = value; break;
+            case "fontoverride": p.font = value; break;
+            case "textcolour": p.colour = value; break;
+            case "design": p.design = value; break;
+        }
+    }
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+}
+
+// The widget sends a colour's Name ("1842 - Royal Blue"); templates use codes or names
+function colourExists(value, colours) {
+    const v = String(value).trim().toLowerCase();
+    return colours.some(c => {
+        const name = String(c.Name || "").trim().toLowerCase();
+        return String(c.Code || "").trim().toLowerCase() === v || name === v || name.split(" - ")[0] === v;
+    });
+}
+
+// Compiled filters, per tenant word list (the tenant table is loaded once per instance)
+const wordFilters = new WeakMap();
+
+function wordFilterFor(blockedWords) {
+    if (!wordFilters.has(blockedWords)) wordFilters.set(blockedWords, createWordFilter(blockedWords));
+    return wordFilters.get(blockedWords);
+}
+
+/**
+ * Personalizations whose text contains a blocked word.
+ * @param {Personalization[]} personalizations
+ * @param {string[]} blockedWords - the tenant's list, on top of the shared defaults
+ * @returns {PersonalizationError[]}
+ */
+export function blockedTextErrors(personalizations, blockedWords) {
+    const filter = wordFilterFor(blockedWords);
+    return personalizations
+        .filter(p => typeof p.text === "string" && p.text.length > 0 && filter.test(p.text))
+        .map(p => ({ index: p.index, element: p.elementName || null, field: "text", code: "BLOCKED_TEXT", message: REVISE_TEXT_MESSAGE }));
+}
+
+/**
+ * Check a set of personalizations against the template, font and colour catalogs and the
+ * tenant's text constraints and blocked words.
+ * @param {import('./bootstrap.js').FetchEndpoint} fetchEndpoint
+ * @param {{
+ *   templateCode?: string,
+ *   personalizations: Personalization[],
+ *   fontType: string,
+ *   textConstraints: import('../../src/constraints.js').ConstraintOverrides,
+ *   blockedWords: string[],
+ * }} request
+ * @returns {Promise<PersonalizationError[]>} empty when everything is valid
+ */
+export async function validatePersonalizations(fetchEndpoint, { templateCode, personalizations, fontType, textConstraints, blockedWords }) {
+    const texts = personalizations.filter(p => typeof p.text === "string" && p.text.length > 0);
+    if (texts.length === 0) return [];
+
+    const [templates, fonts, colours] = await Promise.all([
+        templateCode ? getJson(fetchEndpoint, "/api/api/Templates/ListTemplates") : [],
+        getJson(fetchEndpoint, "/api/api/Fonts/GetFonts"),
+        getJson(fetchEndpoint, "/api/api/Colours/GetColours"),
+    ]);
+    const template = (Array.isArray(templates) ? templates : []).find(t => t.Code === templateCode) || null;
+    const embroideryFonts = (Array.isArray(fonts) ? fonts : []).filter(f => hasFontType(f, fontType));
+    const colourList = Array.isArray(colours) ? colours : [];
+
+    /** @type {PersonalizationError[]} */
+    const errors = [];
+    for (const p of texts) {
+        const at = { index: p.index, element: p.elementName || null };
+
+        const font = p.font ? embroideryFonts.find(f => f.FontName === p.font) : null;
+        if (p.font && !font) {
+            errors.push({ ...at, field: "font", code: "UNKNOWN_FONT", message: "This font isn't available for embroidery." });
+        }
+
+        const constraint = lineConstraint({
+            template,
+            elementName: p.elementName || "",
+            font: font || (p.font ? { FontName: p.font } : null),
+            overrides: textConstraints,
+        });
+        const { tooLong, invalidCharacters } = textViolations(p.text, constraint);
+        if (tooLong) {
+            errors.push({ ...at, field: "text", code: "TOO_LONG", maxCharacters: constraint.maxLength, message: tooLongMessage(constraint.maxLength) });
+        }
+        if (invalidCharacters.length) {
+            errors.push({
+                ...at,
+                field: "text",
+                code: "INVALID_CHARACTERS",
+                invalidCharacters,
+                message: invalidCharactersMessage(invalidCharacters),
+            });
+        }
+
+        if (p.colour && !colourExists(p.colour, colourList)) {
+            errors.push({ ...at, field: "colour", code: "UNKNOWN_COLOUR", message: "This thread colour isn't available." });
+        }
+    }
+    return [...errors, ...blockedTextErrors(texts, blockedWords)];
+}
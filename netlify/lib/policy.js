@@ -0,0 +1,147 @@
+/* global process */
+
+/**
+ * Upstream request policy for the PulseID proxy.
+ *
+ * The proxy attaches the tenant's apiKey to everything it forwards, and it is publicly
+ * reachable under /api/*, so only the endpoint families the widget actually uses are let
+ * through, each with its own method list. Anything else is refused before it leaves the
+ * function.
+ *
+ * Paths are classified in canonical form (see normalizeUpstreamPath) and the canonical URL is
+ * what gets forwarded, so an encoded or dotted spelling of an API path ("/%61pi/api/Orders/Render")
+ * can't pass as an asset and skip the render checks.
+ */
+
+/**
+ * @typedef {Object} EndpointPolicy
+ * @property {string} family - short name used in errors/logs, e.g. "fonts"
+ * @property {RegExp} pattern - matched against the path after the /api/ (or /api/api/) prefix
+ * @property {string[]} methods - allowed HTTP methods (upper case)
+ */
+
+/** @type {EndpointPolicy[]} */
+export const ENDPOINT_POLICIES = [
+    { family: "fonts", pattern: /^Fonts\/GetFonts$/i, methods: ["GET"] },
+    { family: "colours", pattern: /^Colours\/GetColours$/i, methods: ["GET"] },
+    { family: "templates", pattern: /^Templates\/[^/]+$/i, methods: ["GET"] },
+    { family: "designs", pattern: /^Designs\/.+$/i, methods: ["GET"] },
+    { family: "product", pattern: /^Designer\/GetProduct$/i, methods: ["GET"] },
+    { family: "render", pattern: /^Orders\/Render$/i, methods: ["GET"] },
+];
+
+// Non-API paths on a PulseID origin (font previews, thumbnails, design previews) are
+// read-only static assets, and only under the prefixes in PULSEID_ASSET_PATHS, a
+// comma-separated list, e.g. "/Content/,/Uploads/". There is no default: PulseID doesn't
+// document where it serves assets from, so take the prefixes from the URLs your tenant's
+// catalog responses actually carry (FontPreviewUrl, ThumbnailUrl, ...). Until it's set every
+// asset request is refused.
+const ASSET_METHODS = ["GET"];
+
+function assetPaths() {
+    return (process.env.PULSEID_ASSET_PATHS || "").split(",").map(s => s.trim()).filter(Boolean)
+        .map(p => `/${p.replace(/^\/+|\/+$/g, "")}/`.toLowerCase());
+}
+
+// Enough rounds to undo any realistic layering of percent-encoding
+const MAX_DECODE_ROUNDS = 5;
+
+/**
+ * Canonical form of an upstream path: percent-encoding undone (repeatedly, so double-encoded
+ * characters can't hide), backslashes read as slashes, empty and "." segments dropped, ".."
+ * segments resolved, and trailing dots and spaces trimmed from segments (IIS ignores them).
+ * Case is left alone; callers compare case-insensitively.
+ * @param {string} pathname - as in URL#pathname
+ * @returns {string|null} null when the path holds control characters
+ */
+export function normalizeUpstreamPath(pathname) {
+    let path = pathname;
+    for (let i = 0; i < MAX_DECODE_ROUNDS; i++) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(path);
+        } catch {
+            break; // a stray "%" is a literal
+        }
+        if (decoded === path) break;
+        path = decoded;
+    }
+    if (/[\x00-\x1f\x7f]/.test(path)) return null;
+
+    const segments = [];
+    for (const raw of path.replace(/\\/g, "/").split("/")) {
+        if (raw === "..") {
+            segments.pop();
+            continue;
+        }
+        const segment = raw.replace(/[. ]+$/, ""); // also drops "." segments
+        if (segment) segments.push(segment);
+    }
+    return `/${segments.join("/")}`;
+}
+
+/**
+ * @typedef {Object} PolicyVerdict
+ * @property {boolean} allowed
+ * @property {string=} url - the upstream URL with its path in canonical form; forward this one
+ * @property {string=} family - matched endpoint family, or "asset"
+ * @property {string=} code - machine-readable reason when refused
+ * @property {string=} message - human-readable reason when refused
+ */
+
+function deny(code, message) {
+    return { allowed: false, code, message };
+}
+
+/**
+ * Decide whether the proxy may forward `method url` for this tenant.
+ * @param {string} url - fully-qualified upstream URL
+ * @param {string} method - upper-case HTTP method
+ * @param {import('./tenants.js').Tenant} tenant
+ * @returns {PolicyVerdict}
+ */
+export function checkUpstreamRequest(url, method, tenant) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return deny("INVALID_URL", "Upstream URL could not be parsed");
+    }
+
+    const allowedOrigins = [tenant.origin, ...tenant.assetOrigins].map(o => o.toLowerCase());
+    if (!allowedOrigins.includes(parsed.origin.toLowerCase())) {
+        return deny("ORIGIN_NOT_ALLOWED", `Host ${parsed.host} is not a PulseID origin for this tenant`);
+    }
+
+    const canonicalPath = normalizeUpstreamPath(parsed.pathname);
+    if (canonicalPath === null) {
+        return deny("INVALID_URL", "Upstream path contains control characters");
+    }
+    parsed.pathname = canonicalPath;
+    const canonicalUrl = parsed.toString();
+
+    const apiMatch = canonicalPath.match(/^\/api(?:\/api)?(?:\/(.*))?$/i);
+    if (!apiMatch) {
+        const prefixes = assetPaths();
+        if (!prefixes.length) {
+            return deny("ASSET_PATHS_NOT_CONFIGURED", "PULSEID_ASSET_PATHS is not set, so no asset paths are allowed");
+        }
+        if (!prefixes.some(prefix => canonicalPath.toLowerCase().startsWith(prefix))) {
+            return deny("ENDPOINT_NOT_ALLOWED", `Path ${canonicalPath} is not an allowed asset path`);
+        }
+        if (!ASSET_METHODS.includes(method)) {
+            return deny("METHOD_NOT_ALLOWED", `${method} is not allowed for assets`);
+        }
+        return { allowed: true, url: canonicalUrl, family: "asset" };
+    }
+
+    const path = apiMatch[1] || "";
+    const policy = ENDPOINT_POLICIES.find(p => p.pattern.test(path));
+    if (!policy) {
+        return deny("ENDPOINT_NOT_ALLOWED", `Endpoint ${path || "/"} is not allowed`);
+    }
+    if (!policy.methods.includes(method)) {
+        return deny("METHOD_NOT_ALLOWED", `${method} is not allowed for ${path}`);
+    }
+    return { allowed: true, url: canonicalUrl, family: policy.family };
+}
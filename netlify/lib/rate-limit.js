@@ -0,0 +1,131 @@
+/* global process */
+import { createHash } from "node:crypto";
+import { log, errorFields } from "./log.js";
+
+/**
+ * Per-client rate limiting for the PulseID proxy.
+ *
+ * Each client gets a token bucket per budget: renders (one per debounced edit in the widget),
+ * catalog calls (fonts, colours, templates, designs, thumbnails and other assets) and new
+ * render sessions (from /session or with the bootstrap payload). A
+ * bucket holds up to `burst` requests and refills at `perMinute`; an empty bucket means 429.
+ *
+ * A client is its render session when the request carries a valid one, so shoppers sharing an
+ * IP (an office or a mobile carrier's NAT) don't share a budget, and its IP otherwise. New
+ * sessions are always counted against the IP, which caps how many fresh budgets one IP can
+ * mint.
+ *
+ * Buckets live in the function instance's memory. Netlify may run several warm instances, so
+ * the effective limit is per instance - enough to stop a script looping on Orders/Render
+ * without a shared store on the hot path of every request.
+ */
+
+// Override with PULSEID_RATE_LIMITS, e.g. {"render": {"perMinute": 60, "burst": 20}}.
+// A budget with perMinute 0 is unlimited.
+const DEFAULT_BUDGETS = {
+    render: { perMinute: 30, burst: 10 },
+    catalog: { perMinute: 300, burst: 120 },
+    session: { perMinute: 20, burst: 20 },
+};
+
+// Upper bound on tracked clients per instance; the least recently seen are dropped first
+const MAX_CLIENTS = 10000;
+
+/** @type {Map<string, { tokens: number, updatedAt: number }>} */
+const buckets = new Map();
+
+let budgetTable = null;
+
+function budgets() {
+    if (!budgetTable) {
+        let overrides = {};
+        if (process.env.PULSEID_RATE_LIMITS) {
+            try {
+                overrides = JSON.parse(process.env.PULSEID_RATE_LIMITS);
+            } catch (err) {
+                log.error("ignoring invalid PULSEID_RATE_LIMITS", { error: errorFields(err) });
+            }
+        }
+        budgetTable = {};
+        for (const name of Object.keys(DEFAULT_BUDGETS)) {
+            budgetTable[name] = { ...DEFAULT_BUDGETS[name], ...overrides[name] };
+        }
+    }
+    return budgetTable;
+}
+
+/**
+ * Which budget a request draws from, by endpoint family (see policy.js) or "session".
+ * @param {string} family
+ * @returns {"render"|"catalog"|"session"}
+ */
+export function budgetFor(family) {
+    return family === "render" || family === "session" ? family : "catalog";
+}
+
+/**
+ * Stable identifier for the calling client: its verified render session ID, else Netlify's
+ * client IP header, else the first X-Forwarded-For hop. Both are hashed so they never show up
+ * in logs or cache keys.
+ * @param {Record<string, string>=} headers
+ * @param {string|null=} sessionId - `sid` of the request's session token, once verified
+ * @returns {string}
+ */
+export function clientKey(headers, sessionId) {
+    if (sessionId) return "session:" + createHash("sha256").update(sessionId).digest("hex").slice(0, 16);
+    const h = headers || {};
+    const forwarded = (h["x-forwarded-for"] || "").split(",")[0].trim();
+    const ip = h["x-nf-client-connection-ip"] || forwarded || h["client-ip"] || "unknown";
+    return "ip:" + createHash("sha256").update(ip).digest("hex").slice(0, 16);
+}
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number} limit - bucket size (burst)
+ * @property {number} remaining - whole requests left right now
+ * @property {number} retryAfter - seconds until the next request would be allowed (0 when allowed)
+ */
+
+/**
+ * Take one request from `client`'s bucket for `budget`.
+ * @param {string} client - from clientKey()
+ * @param {"render"|"catalog"|"session"} budget
+ * @param {number=} now
+ * @returns {RateLimitResult}
+ */
+export function consume(client, budget, now = Date.now()) {
+    const { perMinute, burst } = budgets()[budget];
+    if (!(perMinute > 0)) return { allowed: true, limit: 0, remaining: 0, retryAfter: 0 };
+
+    const perMs = perMinute / 60000;
+    const key = `${budget}:${client}`;
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+
+    // Re-insert so Map order tracks recency for eviction
+    buckets.delete(key);
+    buckets.set(key, bucket);
+    while (buckets.size > MAX_CLIENTS) buckets.delete(buckets.keys().next().value);
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, limit: burst, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+    const retryAfter = Math.max(1, Math.ceil((1 - bucket.tokens) / perMs / 1000));
+    return { allowed: false, limit: burst, remaining: 0, retryAfter };
+}
+
+/**
+ * Informational headers for a rate-limited (or nearly limited) response.
+ * @param {RateLimitResult} result
+ */
+export function rateLimitHeaders(result) {
+    if (!result.limit) return {};
+    return {
+        "X-RateLimit-Limit": String(result.limit),
+        "X-RateLimit-Remaining": String(result.remaining),
+        ...(result.allowed ? {} : { "Retry-After": String(result.retryAfter) }),
+    };
+}
@@ -0,0 +1,119 @@
+/* global process */
+import { createHash } from "node:crypto";
+import { log, errorFields } from "./log.js";
+
+/**
+ * Content-addressed cache for Orders/Render preview images.
+ *
+ * Shoppers flip between the same fonts and colours, so the same render is requested over and
+ * over. The render parameters are normalised into a canonical form (parameter order, index
+ * numbering and key case don't matter) and hashed; the PNG is stored under that hash.
+ */
+
+// How long browsers/CDN may keep a render. The key already encodes every input, so only a
+// PulseID-side catalog change (e.g. a re-digitised font) can make a cached render outdated.
+const DEFAULT_RENDER_MAX_AGE = 7 * 24 * 3600;
+
+/**
+ * Canonical, order-independent description of a render request.
+ * @param {URLSearchParams} params - upstream render query
+ * @returns {{ params: [string, string][], personalizations: Record<string, string>[] }}
+ */
+export function canonicalRenderParams(params) {
+    const top = new Map();
+    const byIndex = new Map();
+    for (const [rawKey, rawValue] of params) {
+        const value = rawValue.trim();
+        const m = rawKey.match(/^Personalizations\[(\d+)\]\.(.+)$/i);
+        if (m) {
+            if (!byIndex.has(m[1])) byIndex.set(m[1], {});
+            byIndex.get(m[1])[m[2].toLowerCase()] = value;
+        } else {
+            top.set(rawKey.toLowerCase(), value);
+        }
+    }
+
+    // Personalization order is just array numbering; the element name is what PulseID maps on
+    const personalizations = [...byIndex.values()]
+        .map(p => Object.fromEntries(Object.entries(p).sort(([a], [b]) => a.localeCompare(b))))
+        .sort((a, b) => String(a.elementname || "").localeCompare(String(b.elementname || "")));
+
+    return {
+        params: [...top.entries()].sort(([a], [b]) => a.localeCompare(b)),
+        personalizations,
+    };
+}
+
+/**
+ * Storage key for a render: "<tenant>/render/<sha256 of canonical params>", or null when
+ * `url` isn't an Orders/Render call.
+ * @param {string} url - fully-qualified upstream URL
+ * @param {import('./tenants.js').Tenant} tenant
+ * @returns {{ key: string, hash: string }|null}
+ */
+export function renderCacheKey(url, tenant) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (!/^\/api\/(?:api\/)?Orders\/Render\/*$/i.test(parsed.pathname)) return null;
+    const canonical = JSON.stringify(canonicalRenderParams(parsed.searchParams));
+    const hash = createHash("sha256").update(canonical).digest("hex");
+    return { key: `${tenant.id}/render/${hash}`, hash };
+}
+
+/**
+ * @typedef {Object} RenderEntry
+ * @property {string} base64 - image bytes, base64-encoded
+ * @property {string} contentType
+ * @property {string} etag
+ */
+
+/**
+ * @param {import('./storage.js').Storage} store
+ * @param {{ key: string }} cacheKey
+ * @returns {Promise<RenderEntry|null>}
+ */
+export async function readRender(store, { key }) {
+    try {
+        const item = await store.get(key);
+        if (!item) return null;
+        return { base64: item.data, contentType: item.metadata.contentType, etag: item.metadata.etag };
+    } catch (err) {
+        log.error("render cache read failed", { error: errorFields(err) });
+        return null;
+    }
+}
+
+/**
+ * @param {import('./storage.js').Storage} store
+ * @param {{ key: string, hash: string }} cacheKey
+ * @param {{ base64: string, contentType: string }} image
+ * @returns {Promise<RenderEntry>}
+ */
+export async function writeRender(store, { key, hash }, { base64, contentType }) {
+    const entry = { base64, contentType, etag: `"${hash}"` };
+    try {
+        await store.set(key, base64, { contentType, etag: entry.etag, storedAt: Date.now() });
+    } catch (err) {
+        log.error("render cache write failed", { error: errorFields(err) });
+    }
+    return entry;
+}
+
+/**
+ * Caching headers for a render image.
+ * @param {RenderEntry} entry
+ * @param {"hit"|"miss"} status
+ */
+export function renderCacheHeaders(entry, status) {
+    const n = Number(process.env.PULSEID_RENDER_MAX_AGE);
+    const maxAge = Number.isFinite(n) && n >= 0 ? n : DEFAULT_RENDER_MAX_AGE;
+    return {
+        "Cache-Control": `public, max-age=${maxAge}`,
+        "ETag": entry.etag,
+        "X-Cache": status.toUpperCase(),
+    };
+}
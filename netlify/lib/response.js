@@ -0,0 +1,51 @@
+import { corsHeaders } from "./cors.js";
+
+/**
+ * Single place that shapes proxy responses, so every branch gets the same CORS headers and
+ * a `Cache-Control: no-store` default unless it opts into caching.
+ */
+
+/**
+ * @typedef {Object} ResponseSpec
+ * @property {number} statusCode
+ * @property {string=} body
+ * @property {string=} contentType
+ * @property {Record<string, string>=} headers - extra headers; may override Cache-Control
+ * @property {boolean=} isBase64Encoded
+ */
+
+/**
+ * @param {import('@netlify/functions').HandlerEvent} event - the request being answered
+ */
+export function createResponder(event) {
+    const cors = corsHeaders(event.headers);
+
+    /**
+     * @param {ResponseSpec} spec
+     * @returns {import('@netlify/functions').HandlerResponse}
+     */
+    function send({ statusCode, body = "", contentType, headers, isBase64Encoded }) {
+        return {
+            statusCode,
+            headers: {
+                ...cors,
+                ...(contentType ? { "Content-Type": contentType } : {}),
+                "Cache-Control": "no-store",
+                ...headers,
+            },
+            body,
+            ...(isBase64Encoded ? { isBase64Encoded: true } : {}),
+        };
+    }
+
+    /**
+     * @param {number} statusCode
+     * @param {any} payload
+     * @param {Record<string, string>=} headers
+     */
+    function json(statusCode, payload, headers) {
+        return send({ statusCode, contentType: "application/json", body: JSON.stringify(payload), headers });
+    }
+
+    return { send, json };
+}
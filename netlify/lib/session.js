@@ -0,0 +1,165 @@
+/* global process, Buffer */
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { log } from "./log.js";
+
+/**
+ * Short-lived render session tokens.
+ *
+ * The proxy hands the widget a token with its bootstrap payload (or from /session) and only
+ * accepts Orders/Render calls that carry one, so the proxy can't be used as a free render
+ * service by URLs crafted outside the widget. A token is
+ * `base64url(JSON {v, tenant, sid, exp}) "." base64url(HMAC-SHA256)` signed with
+ * PULSEID_SESSION_SECRET and bound to the tenant it was issued for.
+ *
+ * Rendered previews also get a render signature, `exp "." base64url(HMAC-SHA256)` over the
+ * render's canonical parameters (its render-cache hash) and the expiry. A render URL carrying
+ * `sig=` instead of `token=` stays valid for exactly those parameters until then -
+ * PULSEID_RENDER_SIGNATURE_TTL_SECONDS, 180 days by default - so it can be stored with an order
+ * and opened at fulfilment long after the shopper's session ended, without a leaked URL
+ * working forever.
+ */
+
+const TOKEN_VERSION = 1;
+const DEFAULT_TTL_SECONDS = 30 * 60;
+const DEFAULT_RENDER_SIGNATURE_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+export class SessionError extends Error {
+    /**
+     * @param {string} message
+     * @param {"SESSION_REQUIRED"|"SESSION_INVALID"|"SESSION_EXPIRED"|"SESSION_NOT_CONFIGURED"} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = "SessionError";
+        this.code = code;
+        this.statusCode = code === "SESSION_NOT_CONFIGURED" ? 500 : 401;
+    }
+}
+
+// `netlify dev` runs a single process, so a throwaway secret is fine there
+let devSecret = null;
+
+function sessionSecret() {
+    if (process.env.PULSEID_SESSION_SECRET) return process.env.PULSEID_SESSION_SECRET;
+    if (process.env.NETLIFY_DEV === "true") {
+        if (!devSecret) {
+            devSecret = randomBytes(32).toString("hex");
+            log.warn("PULSEID_SESSION_SECRET not set; using a per-process secret for netlify dev");
+        }
+        return devSecret;
+    }
+    throw new SessionError("Render sessions are not configured (set PULSEID_SESSION_SECRET)", "SESSION_NOT_CONFIGURED");
+}
+
+function ttlFromEnv(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function sign(payload, secret) {
+    return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {number} expiresAt - epoch milliseconds
+ */
+
+/**
+ * Issue a render session token for `tenant`.
+ * @param {import('./tenants.js').Tenant} tenant
+ * @param {number=} now
+ * @returns {Session}
+ */
+export function issueSession(tenant, now = Date.now()) {
+    const exp = Math.floor(now / 1000) + ttlFromEnv("PULSEID_SESSION_TTL_SECONDS", DEFAULT_TTL_SECONDS);
+    const payload = Buffer.from(JSON.stringify({
+        v: TOKEN_VERSION,
+        tenant: tenant.id,
+        sid: randomBytes(9).toString("base64url"),
+        exp,
+    })).toString("base64url");
+    return { token: `${payload}.${sign(payload, sessionSecret())}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * Token from a request: the `token` query parameter (renders load as plain image URLs) or an
+ * `Authorization: Bearer` header.
+ * @param {Record<string, string>=} query
+ * @param {Record<string, string>=} headers
+ * @returns {string|null}
+ */
+export function sessionTokenFrom(query, headers) {
+    if (query && query.token) return query.token;
+    const h = headers || {};
+    const auth = h.authorization || h.Authorization || "";
+    const m = auth.match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : null;
+}
+
+/**
+ * Check a token's signature, expiry and tenant. Throws SessionError when it isn't acceptable.
+ * @param {string|null} token
+ * @param {import('./tenants.js').Tenant} tenant
+ * @param {number=} now
+ * @returns {{ sid: string, exp: number }}
+ */
+export function verifySession(token, tenant, now = Date.now()) {
+    if (!token) throw new SessionError("A render session token is required", "SESSION_REQUIRED");
+
+    const [payload, signature, ...rest] = String(token).split(".");
+    if (!payload || !signature || rest.length) throw new SessionError("Malformed session token", "SESSION_INVALID");
+
+    const expected = Buffer.from(sign(payload, sessionSecret()));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        throw new SessionError("Invalid session token", "SESSION_INVALID");
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+        throw new SessionError("Malformed session token", "SESSION_INVALID");
+    }
+    if (claims.v !== TOKEN_VERSION || claims.tenant !== tenant.id) {
+        throw new SessionError("Session token was not issued for this store", "SESSION_INVALID");
+    }
+    if (!(claims.exp * 1000 > now)) throw new SessionError("Session token has expired", "SESSION_EXPIRED");
+    return { sid: claims.sid, exp: claims.exp };
+}
+
+const renderPayload = (renderHash, tenant, exp) => `render:${tenant.id}:${renderHash}:${exp}`;
+
+/**
+ * Long-lived signature for one render.
+ * @param {string} renderHash - from renderCacheKey() (render-cache.js)
+ * @param {import('./tenants.js').Tenant} tenant
+ * @param {number=} now
+ * @returns {string}
+ */
+export function signRender(renderHash, tenant, now = Date.now()) {
+    const exp = Math.floor(now / 1000) + ttlFromEnv("PULSEID_RENDER_SIGNATURE_TTL_SECONDS", DEFAULT_RENDER_SIGNATURE_TTL_SECONDS);
+    return `${exp}.${sign(renderPayload(renderHash, tenant, exp), sessionSecret())}`;
+}
+
+/**
+ * Check a render signature against the render it's presented with. Throws SessionError when it
+ * doesn't match or has expired.
+ * @param {string} signature
+ * @param {string} renderHash
+ * @param {import('./tenants.js').Tenant} tenant
+ * @param {number=} now
+ */
+export function verifyRenderSignature(signature, renderHash, tenant, now = Date.now()) {
+    const [exp, mac, ...rest] = String(signature).split(".");
+    if (!/^\d+$/.test(exp || "") || !mac || rest.length) throw new SessionError("Malformed render signature", "SESSION_INVALID");
+
+    const expected = Buffer.from(sign(renderPayload(renderHash, tenant, exp), sessionSecret()));
+    const given = Buffer.from(mac);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        throw new SessionError("Invalid render signature", "SESSION_INVALID");
+    }
+    if (!(Number(exp) * 1000 > now)) throw new SessionError("Render signature has expired", "SESSION_EXPIRED");
+}
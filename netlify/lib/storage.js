@@ -0,0 +1,192 @@
+/* global process */
+import { mkdir, readFile, writeFile, rm, readdir } from "node:fs/promises";
+import path from "node:path";
+import { log, errorFields } from "./log.js";
+
+/**
+ * Small key/value storage abstraction used by the proxy's caches.
+ *
+ * PULSEID_CACHE_STORE selects the backend:
+ *   - "auto" (default): "fs" under `netlify dev`, "blobs" when the invocation carries a
+ *     Netlify Blobs context, otherwise "memory"
+ *   - "memory": per-instance Map, survives only while the function stays warm
+ *   - "fs": files under PULSEID_CACHE_DIR (default .netlify/cache/pulseid), for local dev
+ *   - "blobs": Netlify Blobs, shared across instances and deploys
+ *
+ * Values are strings (binary payloads are stored base64-encoded); callers keep anything
+ * structured in `metadata`. A backend that can't be opened (e.g. Netlify Blobs without a blobs
+ * context) is logged and replaced by a store that keeps nothing, so requests go uncached
+ * rather than failing.
+ */
+
+/**
+ * @typedef {Object} StoredItem
+ * @property {string} data
+ * @property {Record<string, any>} metadata
+ */
+
+/**
+ * @typedef {Object} Storage
+ * @property {(key: string) => Promise<StoredItem|null>} get
+ * @property {(key: string, data: string, metadata?: Record<string, any>) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(prefix: string) => Promise<number>} deletePrefix - returns the number of keys removed
+ */
+
+const MEMORY_MAX_ENTRIES = 500;
+const memoryStores = new Map();
+
+/**
+ * @param {string} name
+ * @returns {Storage}
+ */
+function memoryStorage(name) {
+    if (!memoryStores.has(name)) memoryStores.set(name, new Map());
+    /** @type {Map<string, StoredItem>} */
+    const map = memoryStores.get(name);
+    return {
+        async get(key) {
+            const item = map.get(key);
+            if (!item) return null;
+            // Refresh insertion order so eviction drops the least recently used entry
+            map.delete(key);
+            map.set(key, item);
+            return item;
+        },
+        async set(key, data, metadata = {}) {
+            map.delete(key);
+            map.set(key, { data, metadata });
+            while (map.size > MEMORY_MAX_ENTRIES) {
+                map.delete(map.keys().next().value);
+            }
+        },
+        async delete(key) {
+            map.delete(key);
+        },
+        async deletePrefix(prefix) {
+            let n = 0;
+            for (const key of [...map.keys()]) {
+                if (key.startsWith(prefix)) {
+                    map.delete(key);
+                    n++;
+                }
+            }
+            return n;
+        },
+    };
+}
+
+/**
+ * One file per key plus a ".meta.json" sidecar. Key segments are sanitised so keys can't
+ * escape the store directory.
+ * @param {string} name
+ * @returns {Storage}
+ */
+function fsStorage(name) {
+    const root = path.resolve(process.env.PULSEID_CACHE_DIR || ".netlify/cache/pulseid", name);
+    const fileFor = (key) => path.join(root, ...key.split("/").map(seg => seg.replace(/[^a-z0-9._-]/gi, "_").replace(/^\.+/, "_")));
+
+    return {
+        async get(key) {
+            const file = fileFor(key);
+            try {
+                const [data, meta] = await Promise.all([
+                    readFile(file, "utf8"),
+                    readFile(`${file}.meta.json`, "utf8"),
+                ]);
+                return { data, metadata: JSON.parse(meta) };
+            } catch (err) {
+                if (err.code === "ENOENT") return null;
+                throw err;
+            }
+        },
+        async set(key, data, metadata = {}) {
+            const file = fileFor(key);
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, data);
+            await writeFile(`${file}.meta.json`, JSON.stringify(metadata));
+        },
+        async delete(key) {
+            const file = fileFor(key);
+            await Promise.all([rm(file, { force: true }), rm(`${file}.meta.json`, { force: true })]);
+        },
+        async deletePrefix(prefix) {
+            // Prefixes are always whole key segments ("tenant/" or "tenant/fonts/getfonts/")
+            const dir = prefix ? fileFor(prefix.replace(/\/+$/, "")) : root;
+            let entries;
+            try {
+                entries = await readdir(dir, { recursive: true });
+            } catch (err) {
+                if (err.code === "ENOENT") return 0;
+                throw err;
+            }
+            await rm(dir, { recursive: true, force: true });
+            return entries.filter(e => e.endsWith(".meta.json")).length;
+        },
+    };
+}
+
+/**
+ * @param {string} name
+ * @param {import('@netlify/functions').HandlerEvent=} event
+ * @returns {Promise<Storage>}
+ */
+async function blobStorage(name, event) {
+    const { getStore, connectLambda } = await import("@netlify/blobs");
+    // Lambda-compatible functions have to hand the invocation's blob context over explicitly
+    if (event && event.blobs) connectLambda(event);
+    const store = getStore(name);
+    return {
+        async get(key) {
+            const item = await store.getWithMetadata(key);
+            return item ? { data: item.data, metadata: item.metadata || {} } : null;
+        },
+        async set(key, data, metadata = {}) {
+            await store.set(key, data, { metadata });
+        },
+        async delete(key) {
+            await store.delete(key);
+        },
+        async deletePrefix(prefix) {
+            const { blobs } = await store.list({ prefix });
+            await Promise.all(blobs.map(b => store.delete(b.key)));
+            return blobs.length;
+        },
+    };
+}
+
+/** @type {Storage} */
+const noStorage = {
+    async get() {
+        return null;
+    },
+    async set() {},
+    async delete() {},
+    async deletePrefix() {
+        return 0;
+    },
+};
+
+/**
+ * Open the named store on the configured backend, or a store that keeps nothing when the
+ * backend can't be opened.
+ * @param {string} name - e.g. "pulseid-catalog"
+ * @param {import('@netlify/functions').HandlerEvent=} event - current invocation (needed for Netlify Blobs)
+ * @returns {Promise<Storage>}
+ */
+export async function getStorage(name, event) {
+    let backend = (process.env.PULSEID_CACHE_STORE || "auto").toLowerCase();
+    if (backend === "auto") {
+        if (process.env.NETLIFY_DEV === "true") backend = "fs";
+        else if (event && event.blobs) backend = "blobs";
+        else backend = "memory";
+    }
+    try {
+        if (backend === "blobs") return await blobStorage(name, event);
+        if (backend === "fs") return fsStorage(name);
+        return memoryStorage(name);
+    } catch (err) {
+        log.error("cache store unavailable, continuing uncached", { store: name, backend, error: errorFields(err) });
+        return noStorage;
+    }
+}
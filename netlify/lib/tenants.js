@@ -0,0 +1,229 @@
+/* global process */
+import { readFileSync } from "node:fs";
+import { MOCK_ORIGIN } from "./mock-upstream.js";
+import { DEFAULT_FONT_TYPE } from "./bootstrap.js";
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} id - tenant key, e.g. "rockbottom" or "rockbottom-staging"
+ * @property {string} apiKey - PulseID `apiKey` header value
+ * @property {string} company - PulseID `company` header value
+ * @property {string} origin - PulseID host, e.g. "https://rockbottom.pulseidconnect.com" (no trailing slash)
+ * @property {string[]} siteOrigins - storefront origins served by this tenant; "https://*.example.com" wildcards allowed
+ * @property {string[]} assetOrigins - extra PulseID hosts (e.g. a CDN) the proxy may fetch assets from
+ * @property {string[]} blockedWords - words shoppers may not put on a product, on top of the
+ *   defaults in src/profanity.js; also sent to the widget with the bootstrap payload
+ * @property {string} fontType - PulseID FontType the storefront's fonts belong to (default
+ *   "embroidery-template"); the bootstrap payload lists these fonts and renders may only use them
+ * @property {import('../../src/constraints.js').ConstraintOverrides} textConstraints - per-element
+ *   and per-font text limits where the catalog metadata sets none (see src/constraints.js);
+ *   enforced on renders and sent to the widget with the bootstrap payload
+ */
+
+/**
+ * Tenant configuration is read (in order of precedence) from:
+ *   1. PULSEID_TENANTS       - JSON object keyed by tenant id
+ *   2. PULSEID_TENANTS_FILE  - path to a JSON file with the same shape (on Netlify, list it
+ *                              under [functions] included_files so it ships with the bundle)
+ *   3. PULSEID_API_KEY / PULSEID_COMPANY / PULSEID_ORIGIN (+ optional PULSEID_TENANT,
+ *      PULSEID_SITE_ORIGINS, PULSEID_BLOCKED_WORDS, PULSEID_FONT_TYPE, PULSEID_TEXT_CONSTRAINTS as JSON) - a single
+ *      tenant, handy for local dev
+ *   4. PULSEID_MOCK=true with none of the above - a "mock" tenant served from fixtures
+ *      (see netlify/lib/mock-upstream.js)
+ *
+ * Example PULSEID_TENANTS value:
+ *   {
+ *     "rockbottom": {
+ *       "apiKey": "...", "company": "PersonalizeYourGear",
+ *       "origin": "https://rockbottom.pulseidconnect.com",
+ *       "siteOrigins": ["https://www.rockbottomgolf.com", "https://*.mybigcommerce.com"],
+ *       "blockedWords": ["rival golf*", "kill yourself"],
+ *       "textConstraints": { "elements": { "Line1": { "maxLength": 12 } }, "fonts": { "Varsity": { "uppercase": true } } }
+ *     }
+ *   }
+ *
+ * PULSEID_DEFAULT_TENANT names the tenant used when a request carries neither a `tenant`
+ * parameter nor a recognised Origin/Referer. Without it, such requests are rejected.
+ */
+
+export class TenantError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} statusCode
+     */
+    constructor(message, statusCode) {
+        super(message);
+        this.name = "TenantError";
+        this.statusCode = statusCode;
+    }
+}
+
+let cached = null;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function textConstraints(id, value) {
+    if (value == null) return { elements: {}, fonts: {} };
+    const { elements = {}, fonts = {} } = isObject(value) ? value : {};
+    if (!isObject(value) || !isObject(elements) || !isObject(fonts)) {
+        throw new TenantError(`Invalid tenant configuration: '${id}' textConstraints needs "elements" and "fonts" objects`, 500);
+    }
+    return { elements, fonts };
+}
+
+function readRawConfig(env) {
+    if (env.PULSEID_TENANTS) {
+        return JSON.parse(env.PULSEID_TENANTS);
+    }
+    if (env.PULSEID_TENANTS_FILE) {
+        return JSON.parse(readFileSync(env.PULSEID_TENANTS_FILE, "utf8"));
+    }
+    if (env.PULSEID_API_KEY) {
+        return {
+            [env.PULSEID_TENANT || "default"]: {
+                apiKey: env.PULSEID_API_KEY,
+                company: env.PULSEID_COMPANY,
+                origin: env.PULSEID_ORIGIN,
+                siteOrigins: (env.PULSEID_SITE_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean),
+                blockedWords: (env.PULSEID_BLOCKED_WORDS || "").split(",").map(s => s.trim()).filter(Boolean),
+                fontType: env.PULSEID_FONT_TYPE,
+                textConstraints: env.PULSEID_TEXT_CONSTRAINTS ? JSON.parse(env.PULSEID_TEXT_CONSTRAINTS) : undefined,
+            },
+        };
+    }
+    if (env.PULSEID_MOCK === "true") {
+        return { mock: { apiKey: "mock", company: "mock", origin: MOCK_ORIGIN } };
+    }
+    return {};
+}
+
+/**
+ * Parse and validate the tenant table. Throws a TenantError (500) on malformed config so a
+ * bad deploy fails loudly instead of silently sending requests with missing credentials.
+ * @param {Record<string, string|undefined>} env
+ * @returns {{ tenants: Map<string, Tenant>, defaultTenant: string|null }}
+ */
+export function loadTenantConfig(env = process.env) {
+    let raw;
+    try {
+        raw = readRawConfig(env);
+    } catch (err) {
+        throw new TenantError(`Invalid tenant configuration: ${err.message}`, 500);
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new TenantError("Invalid tenant configuration: expected an object keyed by tenant id", 500);
+    }
+
+    const tenants = new Map();
+    for (const [id, t] of Object.entries(raw)) {
+        if (!t || !t.apiKey || !t.company || !t.origin) {
+            throw new TenantError(`Invalid tenant configuration: '${id}' needs apiKey, company and origin`, 500);
+        }
+        tenants.set(id, {
+            id,
+            apiKey: String(t.apiKey),
+            company: String(t.company),
+            origin: String(t.origin).replace(/\/+$/, ""),
+            siteOrigins: Array.isArray(t.siteOrigins) ? t.siteOrigins.map(String) : [],
+            assetOrigins: Array.isArray(t.assetOrigins) ? t.assetOrigins.map(o => String(o).replace(/\/+$/, "")) : [],
+            blockedWords: Array.isArray(t.blockedWords) ? t.blockedWords.map(String) : [],
+            fontType: t.fontType ? String(t.fontType) : DEFAULT_FONT_TYPE,
+            textConstraints: textConstraints(id, t.textConstraints),
+        });
+    }
+
+    let defaultTenant = env.PULSEID_DEFAULT_TENANT || null;
+    if (!defaultTenant && tenants.size === 1 && !env.PULSEID_TENANTS && !env.PULSEID_TENANTS_FILE) {
+        // Single-tenant env vars: that tenant is implicitly the default
+        defaultTenant = tenants.keys().next().value;
+    }
+    if (defaultTenant && !tenants.has(defaultTenant)) {
+        throw new TenantError(`Invalid tenant configuration: default tenant '${defaultTenant}' is not defined`, 500);
+    }
+
+    return { tenants, defaultTenant };
+}
+
+function getConfig() {
+    if (!cached) cached = loadTenantConfig();
+    return cached;
+}
+
+/**
+ * Does `origin` match a configured site origin? Supports a leading "*." wildcard on the host
+ * ("https://*.mybigcommerce.com") and a ":*" wildcard port ("http://localhost:*").
+ * @param {string} pattern
+ * @param {string} origin
+ */
+export function originMatches(pattern, origin) {
+    const p = pattern.trim().replace(/\/+$/, "").toLowerCase();
+    const o = origin.toLowerCase();
+    if (p === o) return true;
+    const port = p.match(/^(https?:\/\/[^/:]+):\*$/);
+    if (port) return o.startsWith(port[1]) && /^(:\d+)?$/.test(o.slice(port[1].length));
+    const wild = p.match(/^(https?:\/\/)\*\.(.+)$/);
+    if (!wild) return false;
+    return o.startsWith(wild[1]) && o.slice(wild[1].length).endsWith(`.${wild[2]}`);
+}
+
+/**
+ * Every storefront origin listed across the configured tenants (empty if the tenant
+ * configuration can't be loaded).
+ * @returns {string[]}
+ */
+export function tenantSiteOrigins() {
+    try {
+        return [...getConfig().tenants.values()].flatMap(t => t.siteOrigins);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Origin of the calling storefront page, from the Origin header or (for plain <img> loads,
+ * which don't send Origin) the Referer.
+ * @param {Record<string, string>=} headers
+ * @returns {string|null}
+ */
+export function callerOrigin(headers) {
+    const h = headers || {};
+    const origin = h.origin || h.Origin;
+    if (origin && origin !== "null") return origin;
+    const referer = h.referer || h.Referer;
+    if (!referer) return null;
+    try {
+        return new URL(referer).origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Pick the tenant for a request: an explicit `tenant` parameter wins, then the caller's
+ * origin, then the configured default. Unknown tenants are rejected with a TenantError.
+ * @param {{ tenant?: string|null, headers?: Record<string, string> }} req
+ * @param {{ tenants: Map<string, Tenant>, defaultTenant: string|null }=} config
+ * @returns {Tenant}
+ */
+export function resolveTenant({ tenant, headers }, config = getConfig()) {
+    if (config.tenants.size === 0) {
+        throw new TenantError("No PulseID tenants are configured", 500);
+    }
+
+    if (tenant) {
+        const t = config.tenants.get(tenant);
+        if (!t) throw new TenantError(`Unknown tenant '${tenant}'`, 403);
+        return t;
+    }
+
+    const origin = callerOrigin(headers);
+    if (origin) {
+        for (const t of config.tenants.values()) {
+            if (t.siteOrigins.some(p => originMatches(p, origin))) return t;
+        }
+    }
+
+    if (config.defaultTenant) return config.tenants.get(config.defaultTenant);
+
+    throw new TenantError(origin ? `No tenant configured for origin ${origin}` : "Unable to determine tenant", 403);
+}
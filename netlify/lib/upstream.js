@@ -0,0 +1,214 @@
+/* global process */
+import { log, annotateRequest, errorFields } from "./log.js";
+import { isMockUpstream, mockFetch } from "./mock-upstream.js";
+
+/**
+ * Resilient fetch for PulseID calls: per-endpoint-family timeouts, bounded retries with
+ * backoff for idempotent requests, and a per-origin circuit breaker that fails fast once
+ * PulseID keeps failing, instead of holding every function invocation until the platform
+ * kills it.
+ *
+ * Every call also runs against its request's overall deadline (requestDeadline()), shared by
+ * all attempts and by every PulseID call one proxy request makes (bootstrap fans out, a render
+ * validates against the catalogs first), so retries never take a request past Netlify's
+ * 10s function limit or the widget's spinner.
+ */
+
+// Milliseconds before an upstream call is aborted, by endpoint family (see policy.js).
+// Renders are kept under the widget's 10s spinner timeout so a slow render surfaces as an
+// error rather than a silently abandoned request. Override with PULSEID_TIMEOUTS, e.g. {"render": 12000}.
+// An attempt never runs past the request's deadline, whatever its family allows.
+const DEFAULT_TIMEOUTS = {
+    render: 9000,
+    designs: 8000,
+    asset: 8000,
+    default: 6000,
+};
+
+// Milliseconds a whole proxy request may spend waiting on PulseID, all attempts included.
+// Override with PULSEID_DEADLINE_MS.
+const DEFAULT_DEADLINE_MS = 8500;
+// A retry is only worth starting with at least this long left before the deadline
+const MIN_ATTEMPT_MS = 1500;
+
+const RETRYABLE_STATUS = [502, 503, 504];
+const IDEMPOTENT_METHODS = ["GET", "HEAD"];
+
+export class UpstreamTimeoutError extends Error {
+    /** @param {number} timeoutMs */
+    constructor(timeoutMs) {
+        super(`PulseID did not respond within ${timeoutMs}ms`);
+        this.name = "UpstreamTimeoutError";
+        this.statusCode = 504;
+        this.code = "UPSTREAM_TIMEOUT";
+    }
+}
+
+export class CircuitOpenError extends Error {
+    /** @param {number} retryAfterSeconds */
+    constructor(retryAfterSeconds) {
+        super("PulseID is temporarily unavailable");
+        this.name = "CircuitOpenError";
+        this.statusCode = 503;
+        this.code = "UPSTREAM_UNAVAILABLE";
+        this.retryAfter = retryAfterSeconds;
+    }
+}
+
+function envNumber(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Deadline (epoch ms) for a proxy request starting now; pass it to every fetchUpstream() the
+ * request makes.
+ * @param {number=} now
+ */
+export function requestDeadline(now = Date.now()) {
+    return now + envNumber("PULSEID_DEADLINE_MS", DEFAULT_DEADLINE_MS);
+}
+
+let timeoutTable = null;
+
+function timeoutFor(family) {
+    if (!timeoutTable) {
+        let overrides = {};
+        if (process.env.PULSEID_TIMEOUTS) {
+            try {
+                overrides = JSON.parse(process.env.PULSEID_TIMEOUTS);
+            } catch (err) {
+                log.error("ignoring invalid PULSEID_TIMEOUTS", { error: errorFields(err) });
+            }
+        }
+        timeoutTable = { ...DEFAULT_TIMEOUTS, ...overrides };
+    }
+    return Number(timeoutTable[family] ?? timeoutTable.default);
+}
+
+/**
+ * Circuit breaker state per PulseID origin. "closed" passes traffic; after
+ * PULSEID_BREAKER_THRESHOLD consecutive failures it opens for PULSEID_BREAKER_COOLDOWN_MS,
+ * then lets a single trial request through ("half-open") to decide whether to close again.
+ * Callers arriving while the trial is out fail fast; a trial that never settles (its invocation
+ * was frozen or killed) is given up on after its timeout and the next caller becomes the trial.
+ * @type {Map<string, { state: "closed"|"open"|"half-open", failures: number, openedAt: number, probeUntil: number }>}
+ */
+const breakers = new Map();
+
+function breakerFor(origin) {
+    if (!breakers.has(origin)) breakers.set(origin, { state: "closed", failures: 0, openedAt: 0, probeUntil: 0 });
+    return breakers.get(origin);
+}
+
+/**
+ * @param {{ state: string, openedAt: number, probeUntil: number }} breaker
+ * @param {number} attemptMs - how long this caller's attempt may take, should it be the trial
+ */
+function beforeRequest(breaker, attemptMs) {
+    const now = Date.now();
+    if (breaker.state === "half-open") {
+        if (now < breaker.probeUntil) throw new CircuitOpenError(Math.max(1, Math.ceil((breaker.probeUntil - now) / 1000)));
+    } else if (breaker.state === "open") {
+        const cooldown = envNumber("PULSEID_BREAKER_COOLDOWN_MS", 30000);
+        const elapsed = now - breaker.openedAt;
+        if (elapsed < cooldown) {
+            throw new CircuitOpenError(Math.ceil((cooldown - elapsed) / 1000));
+        }
+    } else {
+        return;
+    }
+    // This caller is the trial request
+    breaker.state = "half-open";
+    breaker.probeUntil = now + attemptMs;
+}
+
+function recordSuccess(breaker) {
+    breaker.state = "closed";
+    breaker.failures = 0;
+}
+
+function recordFailure(breaker, origin) {
+    breaker.failures++;
+    if (breaker.state === "half-open" || breaker.failures >= envNumber("PULSEID_BREAKER_THRESHOLD", 5)) {
+        if (breaker.state !== "open") log.error("circuit opened", { origin, failures: breaker.failures });
+        breaker.state = "open";
+        breaker.openedAt = Date.now();
+    }
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const doFetch = isMockUpstream() ? mockFetch : fetch;
+        return await doFetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+        if (controller.signal.aborted) throw new UpstreamTimeoutError(timeoutMs);
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A response that won't be read still holds its connection until the body is consumed
+function discard(response) {
+    if (response && response.body) response.body.cancel().catch(() => {});
+}
+
+/**
+ * fetch() with the family's timeout, retries for idempotent methods on network errors,
+ * timeouts and 502/503/504, and the origin's circuit breaker, all within `deadline`. Resolves
+ * with the last response (which may still be a 5xx); rejects with UpstreamTimeoutError,
+ * CircuitOpenError or the underlying network error.
+ * @param {string} url
+ * @param {RequestInit & { method: string }} options
+ * @param {{ family?: string, deadline?: number }=} meta - `deadline` from requestDeadline();
+ *   defaults to one starting now
+ * @returns {Promise<Response>}
+ */
+export async function fetchUpstream(url, options, { family, deadline = requestDeadline() } = {}) {
+    const origin = new URL(url).origin;
+    const breaker = breakerFor(origin);
+    const timeoutMs = timeoutFor(family || "default");
+    const maxRetries = IDEMPOTENT_METHODS.includes(options.method) ? envNumber("PULSEID_RETRIES", 2) : 0;
+    const baseDelay = envNumber("PULSEID_RETRY_BASE_MS", 200);
+
+    const started = Date.now();
+    for (let attempt = 0; ; attempt++) {
+        const attemptMs = Math.min(timeoutMs, deadline - Date.now());
+        if (attemptMs <= 0) throw new UpstreamTimeoutError(deadline - started);
+        beforeRequest(breaker, attemptMs);
+        let response = null;
+        let error = null;
+        try {
+            response = await fetchWithTimeout(url, options, attemptMs);
+        } catch (err) {
+            error = err;
+        }
+        annotateRequest({
+            upstreamStatus: response ? response.status : undefined,
+            upstreamMs: Date.now() - started,
+            attempts: attempt + 1,
+        });
+
+        const failed = error || RETRYABLE_STATUS.includes(response.status);
+        if (!failed) {
+            recordSuccess(breaker);
+            return response;
+        }
+        recordFailure(breaker, origin);
+
+        const delay = baseDelay * 2 ** attempt + Math.round(Math.random() * baseDelay);
+        const outOfTime = deadline - Date.now() - delay < MIN_ATTEMPT_MS;
+        if (attempt >= maxRetries || breaker.state === "open" || outOfTime) {
+            if (error) throw error;
+            return response;
+        }
+        discard(response);
+        log.warn("retrying upstream request", { family, attempt: attempt + 1, maxRetries, delayMs: delay, upstreamStatus: response ? response.status : undefined, error: errorFields(error) });
+        await sleep(delay);
+    }
+}
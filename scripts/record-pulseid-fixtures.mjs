@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/* global process */
+/**
+ * Record live PulseID catalog responses as fixtures for the proxy's mock mode
+ * (PULSEID_MOCK=true, see netlify/lib/mock-upstream.js).
+ *
+ * Usage:
+ *   PULSEID_API_KEY=... PULSEID_COMPANY=... PULSEID_ORIGIN=https://rockbottom.pulseidconnect.com \
+ *     npm run record:fixtures -- [--tenant <id>] [--variant <variantId>]...
+ *
+ * Tenant credentials are read the same way as the proxy reads them (netlify/lib/tenants.js).
+ * Fixtures are written to PULSEID_FIXTURES_DIR (default netlify/fixtures/pulseid, wherever the
+ * script is run from), replacing the synthetic ones checked in.
+ */
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { loadTenantConfig } from "../netlify/lib/tenants.js";
+import { fixtureCandidates, fixturesDir } from "../netlify/lib/mock-upstream.js";
+import { DEFAULT_TEMPLATE_PREFIX } from "../netlify/lib/bootstrap.js";
+
+function parseArgs(argv) {
+    const args = { tenant: null, variants: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--tenant") args.tenant = argv[++i];
+        else if (argv[i] === "--variant") args.variants.push(argv[++i]);
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+async function main() {
+    if (process.env.PULSEID_MOCK === "true") throw new Error("Unset PULSEID_MOCK to record from the live API");
+    const args = parseArgs(process.argv.slice(2));
+    const { tenants, defaultTenant } = loadTenantConfig(process.env);
+    const tenant = tenants.get(args.tenant || defaultTenant || "");
+    if (!tenant) throw new Error("No tenant selected: pass --tenant or configure a default tenant");
+
+    const dir = fixturesDir();
+    const headers = { apiKey: tenant.apiKey, company: tenant.company };
+
+    async function record(endpoint, query, { alsoAsDefault = false } = {}) {
+        const url = `${tenant.origin}/api/api/${endpoint}${query ? `?${new URLSearchParams(query)}` : ""}`;
+        const res = await fetch(url, { headers });
+        const contentType = (res.headers.get("Content-Type") || "application/json").split(";")[0].trim();
+        const text = await res.text();
+        const body = contentType.includes("json") ? JSON.parse(text) : text.trim();
+        const fixture = JSON.stringify({ status: res.status, contentType, body }, null, 2) + "\n";
+
+        const targets = fixtureCandidates(url);
+        const files = alsoAsDefault ? targets : targets.slice(0, 1);
+        for (const rel of files) {
+            await mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+            await writeFile(path.join(dir, rel), fixture);
+            console.log(`${res.status} ${endpoint} -> ${rel}`);
+        }
+        return body;
+    }
+
+    await record("Fonts/GetFonts");
+    await record("Colours/GetColours");
+    await record("Designs/GetDesigns");
+    const templates = await record("Templates/ListTemplates");
+    for (const t of Array.isArray(templates) ? templates : []) {
+        if (typeof t.Code === "string" && t.Code.startsWith(DEFAULT_TEMPLATE_PREFIX)) {
+            await record("Templates/GetThumbnail", { id: t.Code });
+        }
+    }
+    // The first variant also becomes the answer for any variant without its own fixture
+    for (const [i, variantId] of args.variants.entries()) {
+        await record("Designer/GetProduct", { variantId }, { alsoAsDefault: i === 0 });
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
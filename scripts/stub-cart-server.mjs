@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/* global process */
+/**
+ * Local stand-in for the BigCommerce Storefront Cart API, for trying the widget's
+ * `connectBigCommerceCart(designer, { mode: 'storefront-api', cartApiBase: 'http://localhost:8787' })`
+ * without a store. Carts live in memory; every line item is logged so the personalization it
+ * carries can be checked.
+ *
+ * Usage:
+ *   npm run stub:cart            # listens on STUB_CART_PORT (default 8787; 0 for any free port)
+ *
+ * Implements GET /api/storefront/carts, POST /api/storefront/carts and
+ * POST /api/storefront/carts/:id/items, with credentialed CORS for any origin.
+ */
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+
+const port = Number(process.env.STUB_CART_PORT ?? 8787);
+/** @type {Map<string, { id: string, lineItems: Object[] }>} */
+const carts = new Map();
+
+function send(req, res, status, payload) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": req.headers.origin || "*",
+        "Access-Control-Allow-Credentials": "true",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Accept",
+        "Vary": "Origin",
+    });
+    res.end(payload === undefined ? "" : JSON.stringify(payload));
+}
+
+async function readJson(req) {
+    let text = "";
+    for await (const chunk of req) text += chunk;
+    return text ? JSON.parse(text) : {};
+}
+
+function addLineItems(cart, lineItems) {
+    for (const item of Array.isArray(lineItems) ? lineItems : []) {
+        const stored = { id: randomUUID(), ...item };
+        cart.lineItems.push(stored);
+        console.log(`cart ${cart.id}: + product ${item.productId} x${item.quantity ?? 1}`);
+        for (const { optionId, optionValue } of item.optionSelections || []) {
+            console.log(`    option ${optionId} = ${JSON.stringify(optionValue)}`);
+        }
+    }
+}
+
+const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    if (req.method === "OPTIONS") return send(req, res, 204);
+
+    try {
+        if (pathname === "/api/storefront/carts") {
+            if (req.method === "GET") return send(req, res, 200, [...carts.values()]);
+            if (req.method === "POST") {
+                const cart = { id: randomUUID(), lineItems: [] };
+                carts.set(cart.id, cart);
+                addLineItems(cart, (await readJson(req)).lineItems);
+                return send(req, res, 200, cart);
+            }
+        }
+        const items = pathname.match(/^\/api\/storefront\/carts\/([^/]+)\/items$/);
+        if (items && req.method === "POST") {
+            const cart = carts.get(decodeURIComponent(items[1]));
+            if (!cart) return send(req, res, 404, { title: "Cart not found" });
+            addLineItems(cart, (await readJson(req)).lineItems);
+            return send(req, res, 200, cart);
+        }
+        return send(req, res, 404, { title: "Not found" });
+    } catch (err) {
+        return send(req, res, 400, { title: err.message });
+    }
+});
+
+server.listen(port, () => console.log(`Stub cart API on http://localhost:${server.address().port}/api/storefront/carts`));
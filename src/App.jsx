@@ -1,7 +1,14 @@
-import React, {useEffect, useState, useRef} from 'react';
+import React, {useEffect, useMemo, useState, useRef} from 'react';
 import debounce from 'lodash.debounce';
 import styles from './App.module.css';
 import ReactDOM from 'react-dom/client';
+import { createDesignerController } from './controller.js';
+import { DEFAULT_DESIGNER_OPTIONS, resolveDesignerOptions, variantFromOptions } from './options.js';
+import { decodeDesignLink, designLinkUrl } from './share.js';
+import { createDraftStore, draftSummary, sameDraft } from './drafts.js';
+import { createHistory, recordEdit, redoEdit, undoEdit } from './history.js';
+import { checkText, displayText, lineConstraint, sanitizeText } from './constraints.js';
+import { createWordFilter, REVISE_TEXT_MESSAGE } from './profanity.js';
 
 
 /**
@@ -73,7 +80,6 @@ import ReactDOM from 'react-dom/client';
  * @property {string=} Guid
  */
 
-const DEFAULT_TEMPLATE_CODE = 'RBG_Default_Template';
 const MAX_TEXT_LINES = 3;
 
 /**
@@ -145,22 +151,47 @@ function resolveApiBase() {
   return '/api/pulseid-proxy';
 }
 
-const apiBase = resolveApiBase();
-
-// Build a proxy URL for any asset or API endpoint. Accepts absolute URLs or endpoints.
-const toProxyAssetUrl = (input) => {
-  if (!input) return '';
-  let u = String(input).trim();
-  // Expand token used by PulseID payloads
-  u = u.replace('{api domain}', 'https://rockbottom.pulseidconnect.com');
-  // Route everything through the proxy. If it's an absolute URL, use `url=`; otherwise `endpoint=`.
-  const isAbs = /^https?:\/\//i.test(u);
-  const key = isAbs ? 'url' : 'endpoint';
-  return `${apiBase}?${key}=${encodeURIComponent(u)}`;
-};
+// Resolved while this script is loading, so the script tag is still easy to find
+const defaultApiBase = resolveApiBase();
+
+// Optional PulseID tenant (storefront/account) for the proxy. When unset, the proxy picks
+// the tenant from the calling page's origin.
+const defaultApiTenant = typeof window !== 'undefined' && window.__RBG_TENANT ? String(window.__RBG_TENANT) : '';
+
+/**
+ * Proxy URL helpers for one widget instance (each instance may use its own API base and tenant).
+ * @param {{ apiBase: string, tenant: string }} options
+ */
+function proxyApi({ apiBase: base, tenant }) {
+  const apiBase = base || defaultApiBase;
+  const apiTenant = tenant || defaultApiTenant;
+  const apiTenantParam = apiTenant ? `tenant=${encodeURIComponent(apiTenant)}&` : '';
+  return {
+    apiBase,
+    apiTenantParam,
+    // Build a proxy URL for a PulseID API endpoint, e.g. apiEndpointUrl('/api/api/Fonts/GetFonts')
+    apiEndpointUrl: (endpoint) => `${apiBase}?${apiTenantParam}endpoint=${endpoint}`,
+  };
+}
 
-const FONT_TYPE_FILTER = 'embroidery-template';
-const RENDER_DEBOUNCE_MS = 1000;
+// Asset URLs in proxy responses (FontPreviewUrl, DesignPreviewURL, thumbnails, ...) arrive
+// already rewritten to proxy URLs, so they're used as-is.
+
+// CSS widths the selectors display images at; the proxy resizes to these (and 2x for retina)
+const THUMB_WIDTH = { font: 80, template: 80, design: 64, selectedDesign: 24 };
+
+/**
+ * src/srcSet for a proxy image at `cssWidth` CSS pixels, as WebP where the browser takes it.
+ * URLs that don't go through the proxy are returned unchanged.
+ * @param {string} url
+ * @param {number} cssWidth
+ * @returns {{ src: string, srcSet?: string }}
+ */
+function sizedImage(url, cssWidth) {
+  if (!url || !/[?&](endpoint|url)=/.test(url)) return { src: url };
+  const at = (w) => `${url}&w=${w}&fmt=webp`;
+  return { src: at(cssWidth), srcSet: `${at(cssWidth)} 1x, ${at(cssWidth * 2)} 2x` };
+}
 
 function getSelectedColorName(colors, rgb) {
     return colors.find(c => `rgb(${c.Red}, ${c.Green}, ${c.Blue})` === rgb)?.Name.split(' - ')[1] || '';
@@ -283,9 +314,11 @@ function findColourRgbFromTemplateValue(value, colours) {
 /**
  * Initialize Text inputs, Font, and Color from a template's TemplateElements
  * Falls back to line count heuristics when elements are missing.
+ * `lineFonts`/`lineColorRgbs` hold each text element's own FontOverride/TextColour (null where
+ * the element has none), in line order.
  */
 function deriveControlsFromTemplate(template, colours) {
-    const result = { lines: null, font: null, colorRgb: null };
+    const result = { lines: null, font: null, colorRgb: null, lineFonts: [], lineColorRgbs: [] };
     if (!template) return result;
 
     const elements = Array.isArray(template.TemplateElements) ? template.TemplateElements : [];
@@ -336,6 +369,12 @@ function deriveControlsFromTemplate(template, colours) {
       if (rgb) result.colorRgb = rgb;
     }
 
+    // --- Per-line values from each text element
+    textEls.slice(0, 3).forEach((el) => {
+      result.lineFonts.push(el.FontOverride ? String(el.FontOverride) : null);
+      result.lineColorRgbs.push(el.TextColour ? findColourRgbFromTemplateValue(el.TextColour, colours) : null);
+    });
+
     return result;
 }
 
@@ -345,7 +384,7 @@ const PreviewImage = ({src, alt, className, onLoad, onError}) => (
 );
 
 // Spinner overlay wrapper for preview image
-const PreviewWithSpinner = ({ src, alt, imgClassName, showSpinner, onLoaded, imgKey }) => (
+const PreviewWithSpinner = ({ src, alt, imgClassName, showSpinner, onLoaded, imgKey, notice }) => (
   <div className={styles.imageWrapper}>
     <PreviewImage
       key={imgKey}
@@ -358,6 +397,7 @@ const PreviewWithSpinner = ({ src, alt, imgClassName, showSpinner, onLoaded, img
     <div className={showSpinner ? styles.spinnerOverlay : styles.spinnerHidden}>
       <div className={styles.spinner} />
     </div>
+    {notice && <div className={styles.previewNotice} role="status">{notice}</div>}
   </div>
 );
 
@@ -384,7 +424,7 @@ const FontSelector = ({fonts, selectedFont, onSelect}) => (
                     className={isSelected ? styles.fontButtonSelected : styles.fontButton}
                 >
                     <img
-                        src={toProxyAssetUrl(f.FontPreviewUrl)}
+                        {...sizedImage(f.FontPreviewUrl, THUMB_WIDTH.font)}
                         alt={f.FontName}
                         className={styles.fontPreviewImage}
                     />
@@ -427,9 +467,50 @@ const ColorSelector = ({colors, selectedColor, onSelect}) => (
 );
 
 // Text input component
-const TextInput = ({value, onChange}) => (
-    <input className={styles.textInput} value={value} onChange={onChange} />
-);
+/**
+ * One text line with its character counter. Pasted text is cleaned up to fit the line's
+ * constraint (see src/constraints.js); typed text is checked and reported instead. There's no
+ * `maxLength` attribute: it counts UTF-16 units, where the limit is in characters.
+ * @param {{
+ *   value: string,
+ *   onChange: (value: string) => void,
+ *   errors?: string[],
+ *   constraint: import('./constraints.js').TextConstraint,
+ * }} props
+ */
+const TextInput = ({value, onChange, errors, constraint}) => {
+    const length = [...value].length;
+    const handlePaste = (e) => {
+        const pasted = e.clipboardData.getData('text');
+        const input = e.currentTarget;
+        const before = value.slice(0, input.selectionStart ?? value.length);
+        const after = value.slice(input.selectionEnd ?? value.length);
+        const room = constraint.maxLength - [...before].length - [...after].length;
+        const clean = sanitizeText(pasted, constraint, room);
+        if (clean === pasted) return;
+        e.preventDefault();
+        onChange(before + clean + after);
+    };
+    return (
+        <>
+            <div className={styles.textInputRow}>
+                <input
+                    className={errors && errors.length ? `${styles.textInput} ${styles.textInputInvalid}` : styles.textInput}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onPaste={handlePaste}
+                    aria-invalid={errors && errors.length ? true : undefined}
+                />
+                <span className={length >= constraint.maxLength ? `${styles.inputCounter} ${styles.inputCounterFull}` : styles.inputCounter}>
+                    {length}/{constraint.maxLength}
+                </span>
+            </div>
+            {errors && errors.map((msg) => (
+                <div key={msg} className={styles.inputError} role="alert">{msg}</div>
+            ))}
+        </>
+    );
+};
 
 /**
  * @param {{
@@ -450,7 +531,7 @@ const TemplateSelector = ({templates, selectedTemplateCode, onSelect}) => (
                     title={t.Name}
                 >
                     <img
-                        src={t.ThumbnailUrl}
+                        {...sizedImage(t.ThumbnailUrl, THUMB_WIDTH.template)}
                         alt={t.Name}
                         className={styles.templatePreviewImage}
                     />
@@ -460,18 +541,59 @@ const TemplateSelector = ({templates, selectedTemplateCode, onSelect}) => (
     </div>
 );
 
+// Design thumbnails sit at a fixed pitch (.designButton width plus the .designsTrack gap), so the
+// row can mount only the ones in view and size itself without measuring them
+const DESIGN_PITCH = 80;
+const DESIGN_GAP = 8;
+// Mounted either side of the visible ones, so a quick scroll doesn't show blanks
+const DESIGN_OVERSCAN = 6;
+// Added to the row each time the shopper scrolls near its end
+const DESIGN_PAGE_SIZE = 40;
+
 /**
+ * Distinct DesignCategory values, sorted.
+ * @param {PulseDesign[]} designs
+ * @returns {string[]}
+ */
+function designCategories(designs) {
+    const names = designs.map(d => String(d.DesignCategory || '').trim()).filter(Boolean);
+    return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The design catalog: a search over DesignName, category chips and a horizontally scrolling row
+ * that grows a page at a time and mounts only the thumbnails in view (so only those are fetched).
  * @param {{
  *  designs: PulseDesign[],
  *  selectedDesignKey: string|null,
- *  onSelect: (design: PulseDesign) => void
+ *  onSelect: (design: PulseDesign) => void,
+ *  apiEndpointUrl: (path: string) => string
  * }} props
  */
-const DesignSelector = ({ designs, selectedDesignKey, onSelect }) => {
+const DesignSelector = ({ designs, selectedDesignKey, onSelect, apiEndpointUrl }) => {
     const rowRef = useRef(null);
-    const itemRefs = useRef(new Map());
     const [canLeft, setCanLeft] = useState(false);
     const [canRight, setCanRight] = useState(false);
+    const [query, setQuery] = useState('');
+    const [category, setCategory] = useState(null);
+    const [loadedCount, setLoadedCount] = useState(DESIGN_PAGE_SIZE);
+    // Visible part of the row, in px
+    const [view, setView] = useState({ left: 0, width: 0 });
+
+    const categories = useMemo(() => designCategories(designs), [designs]);
+    const matches = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        return designs.filter(d =>
+            (!category || String(d.DesignCategory || '').trim() === category) &&
+            (!q || String(d.DesignName || '').toLowerCase().includes(q))
+        );
+    }, [designs, query, category]);
+
+    const loaded = Math.min(loadedCount, matches.length);
+    const loadedRef = useRef(loaded);
+    loadedRef.current = loaded;
+    const first = Math.max(0, Math.floor(view.left / DESIGN_PITCH) - DESIGN_OVERSCAN);
+    const last = Math.min(loaded, Math.ceil((view.left + view.width) / DESIGN_PITCH) + DESIGN_OVERSCAN);
 
     const updateArrows = () => {
         const scrollContainer = rowRef.current;
@@ -480,6 +602,11 @@ const DesignSelector = ({ designs, selectedDesignKey, onSelect }) => {
         const maxScrollLeft = scrollContainer.scrollWidth - scrollContainer.clientWidth;
         setCanLeft(scrollContainer.scrollLeft > EPS);
         setCanRight(scrollContainer.scrollLeft < maxScrollLeft - EPS);
+        setView({ left: scrollContainer.scrollLeft, width: scrollContainer.clientWidth });
+        // Within a viewport of the end: add the next page
+        if (scrollContainer.scrollLeft + 2 * scrollContainer.clientWidth >= loadedRef.current * DESIGN_PITCH) {
+            setLoadedCount(count => (count > loadedRef.current ? count : count + DESIGN_PAGE_SIZE));
+        }
     };
 
     useEffect(() => {
@@ -496,7 +623,7 @@ const DesignSelector = ({ designs, selectedDesignKey, onSelect }) => {
         };
     }, []);
 
-    // Recalculate arrows whenever the row resizes (image loading can change scrollWidth)
+    // Recalculate whenever the row resizes (e.g. its drawer opens)
     useEffect(() => {
         const el = rowRef.current; if (!el || typeof ResizeObserver === 'undefined') return;
         const ro = new ResizeObserver(() => updateArrows());
@@ -504,22 +631,31 @@ const DesignSelector = ({ designs, selectedDesignKey, onSelect }) => {
         return () => ro.disconnect();
     }, []);
 
+    // A new search or category starts again from the first page
     useEffect(() => {
-        if (selectedDesignKey == null) return;
-        const el = itemRefs.current.get(selectedDesignKey);
-        if (el && el.scrollIntoView) {
-            el.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
-        }
-        setTimeout(updateArrows, 200);
-    }, [selectedDesignKey]);
+        setLoadedCount(DESIGN_PAGE_SIZE);
+        rowRef.current?.scrollTo({ left: 0 });
+        updateArrows();
+    }, [matches]);
 
-    // Re-evaluate arrows once designs render (images can change scrollWidth)
+    // Re-evaluate arrows once a page is added (the track is wider)
     useEffect(() => {
         updateArrows();
-        // delay to allow layout/scrollWidth to settle after images load
-        const id = setTimeout(updateArrows, 250);
-        return () => clearTimeout(id);
-    }, [designs]);
+    }, [loaded]);
+
+    // Bring the selected design into view, loading pages up to it first
+    const selectedIndex = selectedDesignKey == null ? -1 : matches.findIndex(d => designKey(d) === selectedDesignKey);
+    const selectedLoaded = selectedIndex >= 0 && selectedIndex < loadedCount;
+    useEffect(() => {
+        if (selectedIndex < 0) return;
+        if (!selectedLoaded) {
+            setLoadedCount(Math.ceil((selectedIndex + 1) / DESIGN_PAGE_SIZE) * DESIGN_PAGE_SIZE);
+            return; // runs again with the page loaded
+        }
+        const el = rowRef.current; if (!el) return;
+        el.scrollTo({ left: Math.max(0, selectedIndex * DESIGN_PITCH - (el.clientWidth - DESIGN_PITCH) / 2), behavior: 'smooth' });
+        setTimeout(updateArrows, 200);
+    }, [selectedDesignKey, selectedLoaded]);
 
     const scrollByAmount = (dir) => {
         const el = rowRef.current; if (!el) return;
@@ -531,95 +667,291 @@ const DesignSelector = ({ designs, selectedDesignKey, onSelect }) => {
     };
 
     return (
-        <div className={styles.designsContainer}>
-            <button
-                type="button"
-                onClick={(e) => { e.preventDefault(); e.stopPropagation(); scrollByAmount('left'); }}
-                className={`${styles.scrollArrow} ${styles.scrollArrowLeft} ${!canLeft ? styles.scrollArrowDisabled : ''}`}
-                aria-label="Scroll designs left"
-            >
-                <svg viewBox="0 0 24 24" fill="none" strokeWidth="3" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round">
-                    <polyline points="15 18 9 12 15 6" />
-                </svg>
-            </button>
-
-            <div ref={rowRef} className={styles.designsRow}>
-                {designs.map(d => {
-                    const key = designKey(d);
-                    const isSel = selectedDesignKey === key;
-                    return (
+        <div className={styles.designCatalog}>
+            <input
+                type="search"
+                className={`${styles.textInput} ${styles.designSearch}`}
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search designs"
+                aria-label="Search designs"
+            />
+
+            {categories.length > 1 && (
+                <div className={styles.categoryChips} role="group" aria-label="Design categories">
+                    {[null, ...categories].map(name => (
                         <button
-                            key={key}
-                            ref={(el) => {
-                                if (el) itemRefs.current.set(key, el); else itemRefs.current.delete(key);
-                            }}
-                            onClick={() => onSelect(d)}
-                            className={isSel ? styles.designButtonSelected : styles.designButton}
-                            title={d.DesignName}
-                            aria-pressed={isSel}
+                            key={name ?? ''}
+                            type="button"
+                            className={category === name ? styles.categoryChipSelected : styles.categoryChip}
+                            aria-pressed={category === name}
+                            onClick={() => setCategory(name)}
                         >
-                            <img
-                                src={d.ThumbnailUrl || (d.DesignPreviewURL ? toProxyAssetUrl(d.DesignPreviewURL) : '')}
-                                loading="lazy"
-                                alt={d.DesignName}
-                                className={styles.designPreviewImage}
-                                onLoad={updateArrows}
-                                onError={(e) => {
-                                    if (e.currentTarget.dataset.fallbackTried) return; // only try once
-                                    e.currentTarget.dataset.fallbackTried = '1';
-                                    const alt = d.$id ?? d.Code ?? d.DesignName ?? '';
-                                    e.currentTarget.src = alt ? `${apiBase}?endpoint=/api/api/Designs/RenderPNG/${encodeURIComponent(String(alt))}` : '';
-                                }}
-                            />
+                            {name ?? 'All'}
                         </button>
-                    );
-                })}
-            </div>
+                    ))}
+                </div>
+            )}
+
+            {matches.length === 0 && designs.length > 0 && (
+                <p className={styles.designsEmpty}>No designs match{query.trim() ? ` "${query.trim()}"` : ''}.</p>
+            )}
+
+            <div className={styles.designsContainer} hidden={matches.length === 0}>
+                <button
+                    type="button"
+                    onClick={(e) => { e.preventDefault(); e.stopPropagation(); scrollByAmount('left'); }}
+                    className={`${styles.scrollArrow} ${styles.scrollArrowLeft} ${!canLeft ? styles.scrollArrowDisabled : ''}`}
+                    aria-label="Scroll designs left"
+                >
+                    <svg viewBox="0 0 24 24" fill="none" strokeWidth="3" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round">
+                        <polyline points="15 18 9 12 15 6" />
+                    </svg>
+                </button>
+
+                <div ref={rowRef} className={styles.designsRow}>
+                    <div className={styles.designsTrack} style={{ width: Math.max(0, loaded * DESIGN_PITCH - DESIGN_GAP) }}>
+                        {matches.slice(first, last).map((d, i) => {
+                            const key = designKey(d);
+                            const isSel = selectedDesignKey === key;
+                            return (
+                                <button
+                                    key={key}
+                                    style={{ left: (first + i) * DESIGN_PITCH }}
+                                    onClick={() => onSelect(d)}
+                                    className={isSel ? styles.designButtonSelected : styles.designButton}
+                                    title={d.DesignName}
+                                    aria-pressed={isSel}
+                                >
+                                    <img
+                                        {...sizedImage(d.ThumbnailUrl || d.DesignPreviewURL || '', THUMB_WIDTH.design)}
+                                        loading="lazy"
+                                        alt={d.DesignName}
+                                        className={styles.designPreviewImage}
+                                        onError={(e) => {
+                                            if (e.currentTarget.dataset.fallbackTried) return; // only try once
+                                            e.currentTarget.dataset.fallbackTried = '1';
+                                            const alt = d.$id ?? d.Code ?? d.DesignName ?? '';
+                                            e.currentTarget.src = alt ? apiEndpointUrl(`/api/api/Designs/RenderPNG/${encodeURIComponent(String(alt))}`) : '';
+                                        }}
+                                    />
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
 
-            <button
-                type="button"
-                onClick={(e) => { e.preventDefault(); e.stopPropagation(); scrollByAmount('right'); }}
-                className={`${styles.scrollArrow} ${styles.scrollArrowRight} ${!canRight ? styles.scrollArrowDisabled : ''}`}
-                aria-label="Scroll designs right"
-            >
-                <svg viewBox="0 0 24 24" fill="none" strokeWidth="3" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round">
-                    <polyline points="9 18 15 12 9 6" />
-                </svg>
-            </button>
+                <button
+                    type="button"
+                    onClick={(e) => { e.preventDefault(); e.stopPropagation(); scrollByAmount('right'); }}
+                    className={`${styles.scrollArrow} ${styles.scrollArrowRight} ${!canRight ? styles.scrollArrowDisabled : ''}`}
+                    aria-label="Scroll designs right"
+                >
+                    <svg viewBox="0 0 24 24" fill="none" strokeWidth="3" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round">
+                        <polyline points="9 18 15 12 9 6" />
+                    </svg>
+                </button>
+            </div>
         </div>
     );
 };
 
+/**
+ * Copies a link to the current design. Falls back to a prompt where the Clipboard API is
+ * unavailable (insecure origins, some in-app browsers).
+ */
+const CopyLinkButton = ({ getUrl, onCopied, className, disabled, children }) => {
+    const copy = async () => {
+        const url = getUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            onCopied();
+        } catch {
+            window.prompt('Copy this link:', url);
+        }
+    };
+    return (
+        <button type="button" className={className} onClick={copy} disabled={disabled} aria-label="Copy link">
+            {children}
+        </button>
+    );
+};
+
+const HistoryControls = ({ canUndo, canRedo, onUndo, onRedo, className }) => (
+    <div className={className}>
+        <button type="button" className={styles.historyButton} onClick={onUndo} disabled={!canUndo} aria-label="Undo" title="Undo (Ctrl+Z)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden>
+                <path d="M9 14 4 9l5-5" />
+                <path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11" />
+            </svg>
+        </button>
+        <button type="button" className={styles.historyButton} onClick={onRedo} disabled={!canRedo} aria-label="Redo" title="Redo (Ctrl+Shift+Z)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden>
+                <path d="m15 14 5-5-5-5" />
+                <path d="M20 9H9.5a5.5 5.5 0 0 0 0 11H13" />
+            </svg>
+        </button>
+    </div>
+);
+
+const DraftPrompt = ({ draft, onRestore, onDismiss }) => (
+    <div className={styles.draftPrompt} role="region" aria-label="Restore your last design">
+        <span className={styles.draftPromptText}>
+            Restore your last design? <strong>{draftSummary(draft.state)}</strong>
+        </span>
+        <div className={styles.draftPromptActions}>
+            <button type="button" className={styles.outlineButton} onClick={onRestore}>Restore</button>
+            <button type="button" className={styles.linkButton} onClick={onDismiss}>No thanks</button>
+        </div>
+    </div>
+);
+
+const RecentDesigns = ({ designs, onApply }) => (
+    <div className={styles.labelInputDiv}>
+        <label className={styles.sectionLabel}>Recent designs:</label>
+        <div className={styles.recentDesigns}>
+            {designs.map((entry, i) => (
+                <button
+                    key={`${entry.savedAt}-${i}`}
+                    type="button"
+                    className={styles.recentDesignButton}
+                    onClick={() => onApply(entry)}
+                    title={`Saved ${new Date(entry.savedAt).toLocaleString()}`}
+                >
+                    {draftSummary(entry.state)}
+                </button>
+            ))}
+        </div>
+    </div>
+);
+
+/**
+ * Group the proxy's per-element validation errors (422 from Orders/Render) by text line.
+ * @param {{ element: string|null, message: string }[]} errors
+ * @param {string[]} elementNames - element name for each line, as sent in the render
+ * @returns {Record<number, string[]>}
+ */
+function errorsByLine(errors, elementNames) {
+  const out = {};
+  for (const err of errors || []) {
+    const i = elementNames.findIndex(name => name.toLowerCase() === String(err.element || '').toLowerCase());
+    if (i < 0) continue;
+    (out[i] = out[i] || []).push(err.message);
+  }
+  return out;
+}
+
+// Compact font and thread colour pickers for one line, shown when lines aren't linked
+const LineStyleControls = ({ line, fonts, colors, value, onFontChange, onColorChange }) => (
+  <div className={styles.lineStyleRow}>
+    <select
+      className={styles.lineStyleSelect}
+      aria-label={`Line ${line} font`}
+      value={value.font}
+      onChange={(e) => onFontChange(e.target.value)}
+    >
+      {fonts.map(f => <option key={f.FontName} value={f.FontName}>{f.FontName}</option>)}
+    </select>
+    <span className={styles.lineSwatch} style={{ '--swatch': value.color || undefined }} aria-hidden />
+    <select
+      className={styles.lineStyleSelect}
+      aria-label={`Line ${line} colour`}
+      value={value.color || ''}
+      onChange={(e) => onColorChange(e.target.value)}
+    >
+      {colors.map(c => (
+        <option key={c.Code} value={`rgb(${c.Red}, ${c.Green}, ${c.Blue})`}>{c.Name}</option>
+      ))}
+    </select>
+  </div>
+);
+
 // Reusable Text Inputs section to avoid duplication
-const TextInputsSection = ({ selectedTemplate, textLines, setTextLines }) => {
+/**
+ * @param {{
+ *   lineStyles: { font: string, color: string|null }[],
+ *   linkLines: boolean,
+ *   onLinkLinesChange: (linked: boolean) => void,
+ *   onLineStyleChange: (index: number, change: { font?: string, color?: string }) => void,
+ * }} props - plus the template, lines and proxy errors; fonts/colors feed the per-line pickers
+ */
+const TextInputsSection = ({
+  selectedTemplate, textLines, setTextLines, errors, constraints, lineIssues,
+  fonts, colors, lineStyles, linkLines, onLinkLinesChange, onLineStyleChange,
+}) => {
   const count = getTemplateLineCount(selectedTemplate ?? {});
   if (count <= 0) return null;
+  const serverErrors = errorsByLine(errors, getElementNamesForTemplate(selectedTemplate, count));
+  // Problems found while typing first, then anything the proxy reported for the last render
+  const lineErrors = textLines.map((_, i) => [...new Set([...(lineIssues[i] || []), ...(serverErrors[i] || [])])]);
+  const shown = Math.min(MAX_TEXT_LINES, count);
   return (
     <div className={styles.labelInputDiv}>
       <label className={styles.sectionLabel}>Text:</label>
-      {Array.from({ length: Math.min(MAX_TEXT_LINES, count) }).map((_, i) => (
-        <TextInput
-          key={i}
-          value={textLines[i] ?? ''}
-          onChange={(e) => {
-            const next = [...textLines];
-            next[i] = e.target.value;
-            setTextLines(next);
-          }}
-        />
+      {shown > 1 && (
+        <label className={styles.linkLinesToggle}>
+          <input type="checkbox" checked={linkLines} onChange={(e) => onLinkLinesChange(e.target.checked)} />
+          Link all lines (same font and colour)
+        </label>
+      )}
+      {Array.from({ length: shown }).map((_, i) => (
+        <React.Fragment key={i}>
+          <TextInput
+            value={displayText(textLines[i] ?? '', constraints[i])}
+            errors={lineErrors[i]}
+            constraint={constraints[i]}
+            onChange={(value) => {
+              const next = [...textLines];
+              next[i] = value;
+              setTextLines(next);
+            }}
+          />
+          {!linkLines && shown > 1 && (
+            <LineStyleControls
+              line={i + 1}
+              fonts={fonts}
+              colors={colors}
+              value={lineStyles[i] ?? lineStyles[0]}
+              onFontChange={(font) => onLineStyleChange(i, { font })}
+              onColorChange={(color) => onLineStyleChange(i, { color })}
+            />
+          )}
+        </React.Fragment>
       ))}
     </div>
   );
 };
 
-const App = () => {
-    // Detect embedded mode (BigCommerce Page Builder, etc)
-    const isEmbedded = typeof document !== 'undefined' && !!document.getElementById('rbgDesigner');
+/**
+ * @param {{
+ *   host?: ReturnType<typeof createDesignerController>['host'],
+ *   options?: import('./options.js').DesignerOptions,
+ * }} props - `host` backs the imperative API when mounted through mountRbgDesigner()
+ */
+const App = ({ host, options = DEFAULT_DESIGNER_OPTIONS } = {}) => {
+    // Embedded mode (BigCommerce Page Builder, etc): mounted through mountRbgDesigner()
+    const isEmbedded = !!host;
+    const variantId = useMemo(() => variantFromOptions(options, window.location.search), [options]);
+    const draftStore = useMemo(() => {
+        if (!variantId || options.draftTtlHours <= 0) return null;
+        return createDraftStore({
+            scope: options.tenant || defaultApiTenant || 'default',
+            variantId,
+            ttlMs: options.draftTtlHours * 3600 * 1000,
+            recentLimit: options.recentDesigns,
+        });
+    }, [options, variantId]);
+    const { apiBase, apiTenantParam, apiEndpointUrl } = useMemo(() => proxyApi(options), [options]);
     /** @type {[PulseProduct|null, Function]} */
     const [product, setProduct] = useState(null);
-    const [textLines, setTextLines] = useState(['My Custom Text']); // up to 3 lines
-    const [font, setFont] = useState('Block');
+    const [textLines, setTextLines] = useState(() => [...options.initialText]); // up to 3 lines
+    const [font, setFont] = useState(options.initialFont);
     const [color, setColor] = useState(null);
+    // Per-line font/colour, used when lines aren't linked; null entries fall back to font/color
+    const [linkLines, setLinkLines] = useState(true);
+    const [lineFonts, setLineFonts] = useState([]);
+    const [lineColors, setLineColors] = useState([]);
+    // Permanent URL of the current render (signed, no session token), what orders store
     const [previewUrl, setPreviewUrl] = useState('');
     const [pendingUrl, setPendingUrl] = useState('');
     const [displayedUrl, setDisplayedUrl] = useState('');
@@ -651,7 +983,7 @@ const App = () => {
         if (!key) return '';
         if (designThumbByKey[key]) return designThumbByKey[key];
 
-        const url = `${apiBase}?endpoint=/api/api/Designs/RenderPNG/${encodeURIComponent(design.DesignName)}`;
+        const url = apiEndpointUrl(`/api/api/Designs/RenderPNG/${encodeURIComponent(design.DesignName)}`);
         setDesignThumbByKey(prev => ({ ...prev, [key]: url }));
         return url;
     };
@@ -660,12 +992,10 @@ const App = () => {
     const getTemplateThumbnail = async (code) => {
       if (templateThumbByCode[code]) return templateThumbByCode[code];
       try {
-        const tr = await fetch(`${apiBase}?endpoint=/api/api/Templates/GetThumbnail&id=${encodeURIComponent(code)}`);
-        const thumb = await tr.text();
-        const normalized = (thumb || '').replace('{api domain}', 'https://rockbottom.pulseidconnect.com');
-        const proxied = toProxyAssetUrl(normalized);
-        setTemplateThumbByCode(prev => ({ ...prev, [code]: proxied }));
-        return proxied;
+        const tr = await fetch(`${apiEndpointUrl('/api/api/Templates/GetThumbnail')}&id=${encodeURIComponent(code)}`);
+        const thumb = (await tr.text()).trim();
+        setTemplateThumbByCode(prev => ({ ...prev, [code]: thumb }));
+        return thumb;
       } catch (e) {
         console.error('[RBG]', 'Thumbnail fetch failed for', code, e);
         return '';
@@ -674,6 +1004,19 @@ const App = () => {
 
     // --- State for template initialization ---
     const [templateInitPending, setTemplateInitPending] = useState(false);
+    // Initial catalog load (bootstrap plus any per-endpoint fallbacks) has finished
+    const [catalogLoaded, setCatalogLoaded] = useState(false);
+    // The tenant's blocked words and text limits, as the proxy enforces them (empty on an older proxy)
+    const [tenantBlockedWords, setTenantBlockedWords] = useState([]);
+    const [tenantTextConstraints, setTenantTextConstraints] = useState(null);
+    const constraintOverrides = useMemo(() => ({
+        elements: { ...options.textConstraints.elements, ...tenantTextConstraints?.elements },
+        fonts: { ...options.textConstraints.fonts, ...tenantTextConstraints?.fonts },
+    }), [options.textConstraints, tenantTextConstraints]);
+    const wordFilter = useMemo(
+        () => createWordFilter([...options.blockedWords, ...tenantBlockedWords]),
+        [options.blockedWords, tenantBlockedWords]
+    );
 
     const [showFonts, setShowFonts] = useState(false);
     const [showColors, setShowColors] = useState(false);
@@ -721,54 +1064,96 @@ const App = () => {
     }, []);
 
     useEffect(() => {
-        const params = new URLSearchParams(window.location.search);
-        const vId = params.get('variantid') || params.get('sku');
+        const vId = variantId;
+
+        if (!vId) {
+            setCatalogLoaded(true);
+            return;
+        }
+
+        const reportLoadError = (what, err) => {
+            console.error('[RBG]', `Failed to fetch ${what}:`, err);
+            host?.emit('error', { type: 'load', message: `Failed to load ${what}`, cause: err });
+        };
+
+        const applyProduct = (data) => {
+            setProduct(data);
+            // Set initial displayedUrl if available
+            if (data?.ProductPreviewURL) setDisplayedUrl(data.ProductPreviewURL);
+        };
+
+        const applyTemplates = (withThumbs) => {
+            setAvailableTemplates(withThumbs);
 
-        if (!vId) return;
+            if (withThumbs.length > 0) {
+              const first = withThumbs[0];
+              setSelectedTemplate(first);
+              // Clear any previously selected design if this template doesn't support a Design element
+              if (!templateSupportsDesign(first)) {
+                setSelectedDesign(null);
+                setShowDesigns(false);
+              }
+              setTemplateInitPending(true);
+              const count = getTemplateLineCount(first);
+              setTextLines((prev) => {
+                const next = [...(Array.isArray(prev) ? prev : [''])];
+                while (next.length < count) next.push('');
+                return next.slice(0, Math.min(MAX_TEXT_LINES, count));
+              });
+            }
+        };
+
+        const applyDesigns = async (rawList) => {
+            const withThumbs = await Promise.all(
+                rawList.map(async (d) => ({
+                    ...d,
+                    ThumbnailUrl: await getDesignThumbnail(d),
+                }))
+            );
+            setAvailableDesigns(withThumbs);
+            if (!selectedDesign && withThumbs.length > 0) setSelectedDesign(withThumbs[0]);
+        };
 
         const fetchProduct = async () => {
             try {
-                const res = await fetch(`${apiBase}?endpoint=/api/api/Designer/GetProduct&variantId=${vId}`);
+                const res = await fetch(`${apiEndpointUrl('/api/api/Designer/GetProduct')}&variantId=${vId}`);
                 const text = await res.text();
-                const data = JSON.parse(text);
-                setProduct(data);
-                // Set initial displayedUrl if available
-                if (data?.ProductPreviewURL) setDisplayedUrl(data.ProductPreviewURL);
+                applyProduct(JSON.parse(text));
             } catch (err) {
-                console.error('[RBG]', 'Failed to fetch product:', err);
+                reportLoadError('product', err);
             }
         };
 
         const fetchFonts = async () => {
             try {
-                const res = await fetch(`${apiBase}?endpoint=/api/api/Fonts/GetFonts`);
+                const res = await fetch(apiEndpointUrl('/api/api/Fonts/GetFonts'));
                 const data = await res.json();
                 const filteredFonts = data.filter(f =>
                     typeof f.FontType === 'string' &&
-                    f.FontType.split(',').map(type => type.trim()).includes(FONT_TYPE_FILTER)
+                    f.FontType.split(',').map(type => type.trim()).includes(options.fontType)
                 );
                 setAvailableFonts(filteredFonts);
             } catch (err) {
-                console.error('[RBG]', 'Failed to fetch fonts:', err);
+                reportLoadError('fonts', err);
             }
         };
 
         const fetchColors = async () => {
             try {
-                const res = await fetch(`${apiBase}?endpoint=/api/api/Colours/GetColours`);
+                const res = await fetch(apiEndpointUrl('/api/api/Colours/GetColours'));
                 const data = await res.json();
                 setAvailableColors(data);
             } catch (err) {
-                console.error('[RBG]', 'Failed to fetch colors:', err);
+                reportLoadError('colors', err);
             }
         };
 
         const fetchTemplates = async () => {
             try {
-                const res = await fetch(`${apiBase}?endpoint=/api/api/Templates/ListTemplates`);
+                const res = await fetch(apiEndpointUrl('/api/api/Templates/ListTemplates'));
                 const data = await res.json();
-                // Filter templates whose Code starts with 'RBG_'
-                const rbg = Array.isArray(data) ? data.filter(t => typeof t.Code === 'string' && t.Code.startsWith('RBG_')) : [];
+                // Filter templates whose Code starts with the configured prefix ('RBG_')
+                const rbg = Array.isArray(data) ? data.filter(t => typeof t.Code === 'string' && t.Code.startsWith(options.templatePrefix)) : [];
 
                 // For each template, fetch/remember its thumbnail
                 const withThumbs = await Promise.all(rbg.map(async (t) => {
@@ -776,52 +1161,60 @@ const App = () => {
                   return { ...t, ThumbnailUrl: thumb };
                 }));
 
-                setAvailableTemplates(withThumbs);
-
-                if (withThumbs.length > 0) {
-                  const first = withThumbs[0];
-                  setSelectedTemplate(first);
-                  // Clear any previously selected design if this template doesn't support a Design element
-                  if (!templateSupportsDesign(first)) {
-                    setSelectedDesign(null);
-                    setShowDesigns(false);
-                  }
-                  setTemplateInitPending(true);
-                  const count = getTemplateLineCount(first);
-                  setTextLines((prev) => {
-                    const next = [...(Array.isArray(prev) ? prev : [''])];
-                    while (next.length < count) next.push('');
-                    return next.slice(0, Math.min(MAX_TEXT_LINES, count));
-                  });
-                }
+                applyTemplates(withThumbs);
             } catch (err) {
-                console.error('[RBG]', 'Failed to fetch templates:', err);
+                reportLoadError('templates', err);
             }
         };
 
         const fetchDesigns = async () => {
             try {
-                const res = await fetch(`${apiBase}?endpoint=/api/api/Designs/GetDesigns`);
+                const res = await fetch(apiEndpointUrl('/api/api/Designs/GetDesigns'));
                 const data = await res.json();
-                const rawList = Array.isArray(data) ? data : [];
-                const withThumbs = await Promise.all(
-                    rawList.map(async (d) => ({
-                        ...d,
-                        ThumbnailUrl: await getDesignThumbnail(d),
-                    }))
-                );
-                setAvailableDesigns(withThumbs);
-                if (!selectedDesign && withThumbs.length > 0) setSelectedDesign(withThumbs[0]);
+                await applyDesigns(Array.isArray(data) ? data : []);
             } catch (err) {
-                console.error('[RBG]', 'Failed to fetch designs:', err);
+                reportLoadError('designs', err);
             }
         };
 
-        void fetchProduct();
-        void fetchFonts();
-        void fetchColors();
-        void fetchTemplates();
-        void fetchDesigns();
+        // One round-trip for the whole catalog (filtered, with template thumbnails resolved).
+        // Any section the bootstrap couldn't load - or the whole thing, on an older proxy -
+        // falls back to the individual endpoint.
+        const fetchBootstrap = async () => {
+            let data;
+            try {
+                const res = await fetch(`${apiBase}/bootstrap?${apiTenantParam}variantId=${encodeURIComponent(vId)}&templatePrefix=${encodeURIComponent(options.templatePrefix)}`);
+                // X-Request-Id correlates this failure with the proxy's function logs
+                if (!res.ok) throw new Error(`HTTP ${res.status} (request ${res.headers.get('X-Request-Id') || 'n/a'})`);
+                data = await res.json();
+            } catch (err) {
+                console.warn('[RBG]', 'Bootstrap unavailable, loading catalog endpoints individually:', err);
+                data = { errors: { product: true, fonts: true, colours: true, templates: true, designs: true } };
+            }
+            const errors = data.errors || {};
+            if (data.session) renderSessionRef.current = data.session;
+            if (Array.isArray(data.blockedWords)) setTenantBlockedWords(data.blockedWords);
+            if (data.textConstraints && typeof data.textConstraints === 'object') setTenantTextConstraints(data.textConstraints);
+
+            const applyBootstrapTemplates = () => {
+                const withThumbs = data.templates || [];
+                withThumbs.forEach(t => {
+                  if (t.ThumbnailUrl) setTemplateThumbByCode(prev => ({ ...prev, [t.Code]: t.ThumbnailUrl }));
+                });
+                applyTemplates(withThumbs);
+            };
+
+            await Promise.all([
+                errors.product ? fetchProduct() : applyProduct(data.product),
+                errors.fonts ? fetchFonts() : setAvailableFonts(data.fonts || []),
+                errors.colours ? fetchColors() : setAvailableColors(data.colours || []),
+                errors.templates ? fetchTemplates() : applyBootstrapTemplates(),
+                errors.designs ? fetchDesigns() : applyDesigns(data.designs || []),
+            ]);
+            setCatalogLoaded(true);
+        };
+
+        void fetchBootstrap();
     }, []);
 
     const handleSelectTemplate = (tpl) => {
@@ -888,7 +1281,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
           availableFonts.length === 0
         ) return;
 
-        const { lines, font: tplFont, colorRgb } = deriveControlsFromTemplate(selectedTemplate, availableColors);
+        const { lines, font: tplFont, colorRgb, lineFonts: tplLineFonts, lineColorRgbs } = deriveControlsFromTemplate(selectedTemplate, availableColors);
 
         if (Array.isArray(lines)) {
             const trimmed = lines.slice(0, MAX_TEXT_LINES);
@@ -901,34 +1294,112 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
         if (colorRgb) {
           setColor(colorRgb);
         } else if (color == null) {
-          const white = availableColors.find(c => c.Code === "1801");
+          const white = availableColors.find(c => c.Code === options.defaultColourCode);
           if (white) setColor(`rgb(${white.Red}, ${white.Green}, ${white.Blue})`);
         }
 
+        // Each line starts from its own element's font and colour; lines stay linked unless
+        // the template styles them differently
+        const nextLineFonts = tplLineFonts.map(f => (f ? resolveFontFromOverride(selectedTemplate, f, availableFonts) || f : null));
+        setLineFonts(nextLineFonts);
+        setLineColors(lineColorRgbs);
+        const differs = (values) => new Set(values.filter(Boolean)).size > 1;
+        setLinkLines(!differs(nextLineFonts) && !differs(lineColorRgbs));
+
         setTemplateInitPending(false);
     }, [templateInitPending, selectedTemplate, availableColors.length, availableFonts.length]);
 
+    // Font and colour each line renders with
+    const lineStyles = textLines.map((_, i) => ({
+        font: (!linkLines && lineFonts[i]) || font,
+        color: (!linkLines && lineColors[i]) || color,
+    }));
+
+    // Per-line limits from template/font metadata and the merchant's overrides. Lines are shown,
+    // rendered and reported in their constrained form (capitals for block fonts).
+    // (Computed for every possible line, so inputs a template is about to add have one too.)
+    const lineElementNames = getElementNamesForTemplate(selectedTemplate, MAX_TEXT_LINES);
+    const textConstraints = lineElementNames.map((elementName, i) => {
+        const lineFont = lineStyles[i]?.font || font;
+        return lineConstraint({
+            template: selectedTemplate,
+            elementName,
+            font: availableFonts.find(f => f.FontName === lineFont) || { FontName: lineFont },
+            overrides: constraintOverrides,
+        });
+    });
+    const effectiveLines = textLines.map((t, i) => displayText(t ?? '', textConstraints[i]));
+    // Blocked words get the same neutral message the proxy returns, whatever matched
+    const lineIssues = effectiveLines.map((t, i) => {
+        const issues = checkText(t, textConstraints[i]);
+        return wordFilter.test(t) ? [...issues, REVISE_TEXT_MESSAGE] : issues;
+    });
+    const textInvalid = lineIssues.some(issues => issues.length > 0);
+
+    const handleLinkLinesChange = (linked) => {
+        if (linked) {
+            // Linking adopts the first line's look for every line
+            setFont(lineStyles[0]?.font || font);
+            setColor(lineStyles[0]?.color || color);
+        } else {
+            setLineFonts(lineStyles.map(st => st.font));
+            setLineColors(lineStyles.map(st => st.color));
+        }
+        setLinkLines(linked);
+    };
+
+    const handleLineStyleChange = (index, change) => {
+        const update = (values, value) => lineStyles.map((st, i) => (i === index ? value : values[i] ?? null));
+        if (change.font) setLineFonts(prev => update(prev, change.font));
+        if (change.color) setLineColors(prev => update(prev, change.color));
+    };
+
+    // The main font/colour pickers apply to every line, linked or not
+    const selectFontForAllLines = (f) => {
+        setFont(f);
+        setLineFonts(prev => prev.map(() => f));
+    };
+    const selectColorForAllLines = (c) => {
+        setColor(c);
+        setLineColors(prev => prev.map(() => c));
+    };
+
+    // See RenderStatus in src/controller.js. settledStatusRef holds the outcome for lastRenderUrl,
+    // restored when an edit ends up producing the same render URL again.
+    const [renderStatus, setRenderStatus] = useState('loading');
+    const settledStatusRef = useRef('loading');
+    const settleRenderStatus = (status) => {
+        settledStatusRef.current = status;
+        setRenderStatus(status);
+    };
+
     useEffect(() => {
         if (!product || !color) return;
+        // Nothing is rendered while a line breaks its constraints or has a blocked word; the last
+        // good preview stays
+        if (textInvalid) {
+            setRenderStatus('invalid');
+            return;
+        }
+        setRenderStatus('pending');
         const debouncedRender = debounce(() => {
             const productCode = product?.Code;
             const transparency = "%2300FFFFFF";
-            const textColorCode = getColorCode(color, availableColors);
-            const templateCode = selectedTemplate?.Code || DEFAULT_TEMPLATE_CODE;
+            const templateCode = selectedTemplate?.Code || options.templateCode;
             const orderType = selectedTemplate?.OrderType || 'embroidery-template';
 
             const elementNames = getElementNamesForTemplate(selectedTemplate, textLines.length);
             const parts = [];
 
             let pIndex = 0;
-            textLines.forEach((txt, i) => {
+            effectiveLines.forEach((txt, i) => {
               if (typeof txt === 'string' && txt.trim().length > 0) {
                 const elName = elementNames[i] || `Line${i + 1}`;
                 parts.push(`&Personalizations[${pIndex}].ElementName=${encodeURIComponent(elName)}`);
                 parts.push(`&Personalizations[${pIndex}].Text=${encodeURIComponent(txt)}`);
                 parts.push(`&Personalizations[${pIndex}].IsText=true`);
-                parts.push(`&Personalizations[${pIndex}].TextColour=${textColorCode}`);
-                parts.push(`&Personalizations[${pIndex}].FontOverride=${encodeURIComponent(font)}`);
+                parts.push(`&Personalizations[${pIndex}].TextColour=${getColorCode(lineStyles[i].color, availableColors)}`);
+                parts.push(`&Personalizations[${pIndex}].FontOverride=${encodeURIComponent(lineStyles[i].font)}`);
                 pIndex++;
               }
             });
@@ -939,46 +1410,121 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
               parts.push(`&Personalizations[${pIndex}].Design=${encodeURIComponent(designName)}`);
             }
 
-            const newUrl = `${apiBase}?endpoint=/api/api/Orders/Render`
+            const newUrl = apiEndpointUrl('/api/api/Orders/Render')
               + `&OrderType=${encodeURIComponent(orderType)}`
               + `&ProductCode=${productCode}`
               + `&TemplateCode=${encodeURIComponent(templateCode)}`
               + parts.join('')
               + `&Transparency=${transparency}`
               + `&RenderOnProduct=true`
-              + `&Dpi=72`;
+              + `&Dpi=${options.dpi}`;
 
             if (newUrl !== lastRenderUrl) {
               setIsRendering(true);
               setPendingUrl(newUrl);
               setLastRenderUrl(newUrl);
+            } else {
+              setRenderStatus(settledStatusRef.current);
             }
-        }, RENDER_DEBOUNCE_MS);
+        }, options.renderDebounceMs);
 
         debouncedRender();
         return () => debouncedRender.cancel();
-    }, [textLines, font, color, product, availableColors, selectedTemplate, selectedDesign]);
+    }, [textLines, font, color, linkLines, lineFonts, lineColors, product, availableColors, availableFonts, selectedTemplate, selectedDesign, constraintOverrides, wordFilter]);
+
+    // Seconds the proxy asked us to wait after a 429, while the "slow down" notice is shown
+    const [renderThrottle, setRenderThrottle] = useState(0);
+    const [renderRetry, setRenderRetry] = useState(0);
+    // Per-element problems the proxy found with the last render's text, font or colour
+    const [personalizationErrors, setPersonalizationErrors] = useState([]);
+
+    // Render session token issued by the proxy (with bootstrap, or from /session); the proxy
+    // refuses Orders/Render calls without one
+    const renderSessionRef = useRef(null); // { token, expiresAt }
+
+    const getRenderSessionToken = async (refresh = false) => {
+      const current = renderSessionRef.current;
+      if (!refresh && current && current.expiresAt - Date.now() > 60000) return current.token;
+      const res = await fetch(`${apiBase}/session?${apiTenantParam}`);
+      if (!res.ok) throw new Error(`Session HTTP ${res.status} (request ${res.headers.get('X-Request-Id') || 'n/a'})`);
+      renderSessionRef.current = await res.json();
+      return renderSessionRef.current.token;
+    };
 
-    // Preload pendingUrl and only swap in when loaded
+    // Preload pendingUrl and only swap in when loaded. Fetched (rather than loaded through an
+    // Image) so a 429 from the proxy's rate limiter can be told apart from a failed render;
+    // the <img> shows the fetched image through an object URL, so it's never requested twice.
     useEffect(() => {
       if (!pendingUrl) return;
-      const img = new window.Image();
-      img.onload = () => {
-        setPreviewUrl(pendingUrl);     // keep as the 'current' render URL
-        setDisplayedUrl(pendingUrl);   // actually shown in the UI
-        setImgKey(k => k + 1);         // ensure onLoad fires in PreviewImage
-        setIsRendering(false);
-      };
-      img.onerror = () => {
-        // if the render failed to load, stop spinner but keep the last good image
-        setIsRendering(false);
-      };
-      img.src = pendingUrl;
-      return () => {
-        img.onload = null;
-        img.onerror = null;
-      };
-    }, [pendingUrl]);
+      const controller = new AbortController();
+      const withToken = (token) => `${pendingUrl}&token=${encodeURIComponent(token)}`;
+      (async () => {
+        try {
+          let renderUrl = withToken(await getRenderSessionToken());
+          let res = await fetch(renderUrl, { signal: controller.signal });
+          if (res.status === 401) {
+            // Token expired or the proxy's secret rotated: get a new one and try once more
+            renderUrl = withToken(await getRenderSessionToken(true));
+            res = await fetch(renderUrl, { signal: controller.signal });
+          }
+          if (res.status === 429) {
+            const seconds = Math.max(1, parseInt(res.headers.get('Retry-After') || '', 10) || 5);
+            setRenderThrottle(seconds);
+            host?.emit('error', { type: 'rate-limit', message: 'Too many render requests', retryAfter: seconds });
+            setIsRendering(false);
+            return;
+          }
+          if (res.status === 422) {
+            const body = await res.json().catch(() => ({}));
+            setPersonalizationErrors(Array.isArray(body.errors) ? body.errors : []);
+            settleRenderStatus('invalid');
+            host?.emit('error', { type: 'validation', message: body.error || 'Personalization is not valid', errors: body.errors || [] });
+            setIsRendering(false);
+            return;
+          }
+          if (!res.ok) throw new Error(`HTTP ${res.status} (request ${res.headers.get('X-Request-Id') || 'n/a'})`);
+          const image = await res.blob();
+          // The session token expires with the shopper's session; the proxy's signature for this
+          // exact render lasts long enough for fulfilment. An older proxy sends none, leaving the
+          // parameters for fulfilment to re-render from.
+          const signature = res.headers.get('X-Render-Signature');
+          const signedUrl = new URL(signature ? `${pendingUrl}&sig=${encodeURIComponent(signature)}` : pendingUrl, window.location.href).toString();
+          setRenderThrottle(0);
+          setPersonalizationErrors([]);
+          setPreviewUrl(signedUrl);
+          setDisplayedUrl(URL.createObjectURL(image));    // actually shown in the UI
+          setImgKey(k => k + 1);         // ensure onLoad fires in PreviewImage
+          setIsRendering(false);
+          settleRenderStatus('ready');
+          host?.emit('render', { url: signedUrl, state: { ...designerStateRef.current, renderUrl: signedUrl } });
+        } catch (e) {
+          if (controller.signal.aborted) return;
+          // if the render failed to load, stop spinner but keep the last good image
+          console.error('[RBG]', 'Render failed', e);
+          setIsRendering(false);
+          settleRenderStatus('error');
+          host?.emit('error', { type: 'render', message: e.message });
+        }
+      })();
+      return () => controller.abort();
+    }, [pendingUrl, renderRetry]);
+
+    // Each render's object URL is released once another replaces it, or on unmount
+    useEffect(() => {
+      if (!displayedUrl.startsWith('blob:')) return;
+      return () => URL.revokeObjectURL(displayedUrl);
+    }, [displayedUrl]);
+
+    // Once the wait is over, retry the latest render
+    useEffect(() => {
+      if (!renderThrottle) return;
+      const id = setTimeout(() => {
+        setRenderThrottle(0);
+        setIsRendering(true);
+        setRenderRetry(n => n + 1);
+      }, renderThrottle * 1000);
+      return () => clearTimeout(id);
+    }, [renderThrottle]);
 
     useEffect(() => {
       if (!isRendering) return;
@@ -986,6 +1532,263 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
       return () => clearTimeout(id);
     }, [isRendering, imgKey]);
 
+    // --- Imperative API (src/controller.js) ---
+    const designerStateRef = useRef(null);
+    designerStateRef.current = {
+        templateCode: selectedTemplate?.Code || null,
+        lines: effectiveLines,
+        font,
+        colourCode: getSelectedColorCode(availableColors, color),
+        designName: selectedDesign?.DesignName || null,
+        linkLines,
+        lineStyles: lineStyles.map(st => ({ font: st.font, colourCode: getSelectedColorCode(availableColors, st.color) })),
+        renderUrl: previewUrl,
+        status: renderStatus,
+    };
+
+    // Fields to apply once a template switch requested through setState() has initialized,
+    // since template init resets the lines, font and colour to the template's defaults
+    const pendingDesignerStateRef = useRef(null);
+
+    /**
+     * Apply state from setState() or a shared link. Unknown values are skipped and reported.
+     * @param {Partial<import('./controller.js').DesignerState>} partial
+     * @param {(message: string) => void} reportUnknown
+     */
+    const applyDesignerState = (partial, reportUnknown) => {
+        if (partial.templateCode != null && partial.templateCode !== selectedTemplate?.Code) {
+            const tpl = availableTemplates.find(t => t.Code === partial.templateCode);
+            if (tpl) {
+                const { templateCode: _code, ...rest } = partial;
+                pendingDesignerStateRef.current = { partial: rest, reportUnknown };
+                handleSelectTemplate(tpl);
+                return;
+            }
+            reportUnknown(`Unknown template '${partial.templateCode}'`);
+        }
+        if (Array.isArray(partial.lines)) {
+            const count = Math.min(MAX_TEXT_LINES, getTemplateLineCount(selectedTemplate ?? {}));
+            const next = partial.lines.slice(0, count).map(l => String(l ?? ''));
+            while (next.length < count) next.push('');
+            setTextLines(next);
+        }
+        if (typeof partial.font === 'string') {
+            if (availableFonts.some(f => f.FontName === partial.font)) selectFontForAllLines(partial.font);
+            else reportUnknown(`Unknown font '${partial.font}'`);
+        }
+        if (partial.colourCode != null) {
+            const c = availableColors.find(x => x.Code === String(partial.colourCode));
+            if (c) selectColorForAllLines(`rgb(${c.Red}, ${c.Green}, ${c.Blue})`);
+            else reportUnknown(`Unknown colour '${partial.colourCode}'`);
+        }
+        if (Array.isArray(partial.lineStyles)) {
+            const entries = partial.lineStyles.slice(0, MAX_TEXT_LINES);
+            setLineFonts(entries.map((st) => {
+                if (st?.font == null) return null;
+                if (availableFonts.some(f => f.FontName === st.font)) return st.font;
+                reportUnknown(`Unknown font '${st.font}'`);
+                return null;
+            }));
+            setLineColors(entries.map((st) => {
+                if (st?.colourCode == null) return null;
+                const c = availableColors.find(x => x.Code === String(st.colourCode));
+                if (c) return `rgb(${c.Red}, ${c.Green}, ${c.Blue})`;
+                reportUnknown(`Unknown colour '${st.colourCode}'`);
+                return null;
+            }));
+        }
+        if (typeof partial.linkLines === 'boolean') setLinkLines(partial.linkLines);
+        if (partial.designName === null) {
+            setSelectedDesign(null);
+        } else if (typeof partial.designName === 'string') {
+            const d = availableDesigns.find(x => x.DesignName === partial.designName);
+            if (d) setSelectedDesign(d);
+            else reportUnknown(`Unknown design '${partial.designName}'`);
+        }
+    };
+    const applyDesignerStateRef = useRef(applyDesignerState);
+    applyDesignerStateRef.current = applyDesignerState;
+
+    // Short-lived message over the preview ("Link copied", problems with a shared link)
+    const [previewFlash, setPreviewFlash] = useState('');
+    useEffect(() => {
+        if (!previewFlash) return;
+        const id = setTimeout(() => setPreviewFlash(''), 5000);
+        return () => clearTimeout(id);
+    }, [previewFlash]);
+
+    // Restoring a shared link, draft or recent design skips values the catalog no longer has
+    const reportUnavailable = (message) => {
+        console.warn('[RBG]', 'Restored design:', message);
+        setPreviewFlash('Some options in this design are no longer available, so defaults were used.');
+    };
+
+    // Drafts (src/drafts.js). A draft from an earlier visit is offered until the shopper
+    // restores it, dismisses it or starts a new design; it isn't overwritten meanwhile.
+    const [draftOffer, setDraftOffer] = useState(null); // { entry, baseline: state when offered }
+    const [recentDesigns, setRecentDesigns] = useState([]);
+
+    // Restore a shared design (src/share.js) once the catalog and first template are in;
+    // otherwise offer the saved draft. Both wait for template init so its defaults can't
+    // overwrite them (applyDesignerState defers the rest of a template switch too).
+    const [linkRestored, setLinkRestored] = useState(false);
+    useEffect(() => {
+        if (linkRestored || !catalogLoaded || templateInitPending) return;
+        setLinkRestored(true);
+        const saved = draftStore?.load();
+        if (saved) setRecentDesigns(saved.recent);
+
+        const value = new URLSearchParams(window.location.search).get(options.shareParam);
+        if (!value) {
+            const current = designerStateRef.current;
+            if (saved?.draft && !sameDraft(saved.draft.state, current)) {
+                setDraftOffer({ entry: saved.draft, baseline: current });
+            }
+            return;
+        }
+        const shared = decodeDesignLink(value);
+        if (!shared) {
+            console.warn('[RBG]', 'Ignoring unreadable design link:', value);
+            setPreviewFlash("This design link couldn't be opened, so we've started you with the default design.");
+            return;
+        }
+        applyDesignerState(shared, reportUnavailable);
+    }, [linkRestored, catalogLoaded, templateInitPending]);
+
+    const restoreDraft = () => {
+        applyDesignerState(draftOffer.entry.state, reportUnavailable);
+        setDraftOffer(null);
+    };
+
+    // Keep a dismissed draft reachable from the recent list
+    const dismissDraft = () => {
+        if (draftStore) setRecentDesigns(draftStore.remember(draftOffer.entry.state));
+        setDraftOffer(null);
+    };
+
+    useEffect(() => {
+        if (!draftStore || !linkRestored || templateInitPending) return;
+        const current = designerStateRef.current;
+        if (draftOffer) {
+            if (sameDraft(draftOffer.entry.state, current)) return;
+            // Untouched since the offer: keep the old draft. Edited: that's a new design.
+            if (sameDraft(current, draftOffer.baseline)) return;
+            dismissDraft();
+        }
+        draftStore.saveDraft(current);
+    }, [draftStore, linkRestored, templateInitPending, draftOffer, selectedTemplate, textLines, font, color, linkLines, lineFonts, lineColors, selectedDesign]);
+
+    // Leaving the page files the current design under "recent designs"
+    useEffect(() => {
+        if (!draftStore) return;
+        const onPageHide = () => {
+            const current = designerStateRef.current;
+            const hasContent = current.lines.some(l => l && l.trim()) || current.designName;
+            if (current.status === 'ready' && hasContent) draftStore.remember(current);
+        };
+        window.addEventListener('pagehide', onPageHide);
+        return () => window.removeEventListener('pagehide', onPageHide);
+    }, [draftStore]);
+
+    const visibleRecentDesigns = recentDesigns.filter(entry =>
+        !sameDraft(entry.state, designerStateRef.current) && !(draftOffer && sameDraft(entry.state, draftOffer.entry.state)));
+    const applyRecentDesign = (entry) => applyDesignerState(entry.state, reportUnavailable);
+
+    const currentDesignLink = () => designLinkUrl(window.location.href, options.shareParam, designerStateRef.current);
+
+    // Bind the controller and resolve `ready` once the catalog is in and the first template
+    // (or the shared design) applied
+    const designerReadyRef = useRef(false);
+    useEffect(() => {
+        if (!host || designerReadyRef.current || !linkRestored || templateInitPending) return;
+        designerReadyRef.current = true;
+        const reportUnknown = (message) => host.emit('error', { type: 'state', message });
+        host.bind({
+            getState: () => designerStateRef.current,
+            setState: (partial) => applyDesignerStateRef.current(partial, reportUnknown),
+        });
+        host.markReady(designerStateRef.current);
+    }, [host, linkRestored, templateInitPending]);
+
+    // Unbind on unmount, so controller calls made afterwards are queued rather than applied to
+    // a dead instance. (StrictMode's remount runs the effect above again and rebinds.)
+    useEffect(() => {
+        if (!host) return;
+        return () => {
+            host.unbind();
+            designerReadyRef.current = false;
+        };
+    }, [host]);
+
+    // Edit history (src/history.js). Declared before the effect below that applies the rest of
+    // a deferred template switch, so a commit where template init has just finished but those
+    // fields aren't applied yet is skipped: the whole switch is recorded as one step.
+    const [history, setHistory] = useState(null);
+    useEffect(() => {
+        if (!linkRestored || templateInitPending || pendingDesignerStateRef.current) return;
+        const current = designerStateRef.current;
+        setHistory(h => (h ? recordEdit(h, current) : createHistory(current)));
+    }, [linkRestored, templateInitPending, selectedTemplate, textLines, font, color, linkLines, lineFonts, lineColors, selectedDesign]);
+
+    // The target becomes `present` first, so applying it doesn't record a new step
+    const stepHistory = (step) => {
+        if (!history) return;
+        const next = step(history);
+        if (next === history) return;
+        setHistory(next);
+        applyDesignerState(next.present, reportUnavailable);
+    };
+    const undo = () => stepHistory(undoEdit);
+    const redo = () => stepHistory(redoEdit);
+
+    // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y while focus is inside this instance
+    const handleHistoryKeys = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey)) {
+            e.preventDefault();
+            redo();
+        }
+    };
+
+    const historyControls = (className) => (
+        <HistoryControls
+            className={className}
+            canUndo={!!history && history.past.length > 0}
+            canRedo={!!history && history.future.length > 0}
+            onUndo={undo}
+            onRedo={redo}
+        />
+    );
+
+    useEffect(() => {
+        if (templateInitPending || !pendingDesignerStateRef.current) return;
+        const { partial, reportUnknown } = pendingDesignerStateRef.current;
+        pendingDesignerStateRef.current = null;
+        applyDesignerState(partial, reportUnknown);
+    }, [templateInitPending]);
+
+    // 'change' fires for edits by the shopper or through setState(), not for renders
+    const lastChangeKeyRef = useRef('');
+    useEffect(() => {
+        if (!host || !designerReadyRef.current || templateInitPending) return;
+        const { renderUrl: _url, status: _status, ...fields } = designerStateRef.current;
+        const key = JSON.stringify(fields);
+        if (key === lastChangeKeyRef.current) return;
+        lastChangeKeyRef.current = key;
+        host.emit('change', designerStateRef.current);
+    }, [host, selectedTemplate, textLines, font, color, linkLines, lineFonts, lineColors, selectedDesign, templateInitPending, catalogLoaded]);
+
+    useEffect(() => {
+        if (!host || !designerReadyRef.current) return;
+        host.emit('status', designerStateRef.current);
+    }, [host, renderStatus]);
+
+    const slowDownNotice = renderThrottle ? "You're making changes quickly - the preview will catch up in a moment." : '';
+
     // Compose root classes: always styles.root, add styles.embedded if embedded, then size variant
     const rootClasses = [
       styles.root,
@@ -993,7 +1796,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
       isMobile ? styles.appContainer : styles.container
     ].filter(Boolean).join(' ');
     return (
-        <div className={rootClasses}>
+        <div className={rootClasses} onKeyDown={handleHistoryKeys}>
             {isMobile ? (
             // Mobile layout
                 <>
@@ -1005,9 +1808,13 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                           showSpinner={isRendering}
                           onLoaded={() => setIsRendering(false)}
                           imgKey={imgKey}
+                          notice={slowDownNotice || previewFlash}
                         />
+                        {historyControls(styles.historyControlsOverlay)}
                     </div>
 
+                    {draftOffer && <DraftPrompt draft={draftOffer.entry} onRestore={restoreDraft} onDismiss={dismissDraft} />}
+
                     <div className={styles.floatingControls}>
                         <button
                             className={styles.drawerToggleButton}
@@ -1081,6 +1888,20 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                             </span>
                             <span className={styles.btnLabel}>Color</span>
                         </button>
+                        <CopyLinkButton
+                            className={styles.drawerToggleButton}
+                            getUrl={currentDesignLink}
+                            onCopied={() => setPreviewFlash('Link copied')}
+                            disabled={!linkRestored}
+                        >
+                            <span className={styles.btnIcon} aria-hidden>
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M10 13a5 5 0 0 0 7.07 0l3-3a5 5 0 0 0-7.07-7.07l-1.5 1.5" />
+                                <path d="M14 11a5 5 0 0 0-7.07 0l-3 3a5 5 0 0 0 7.07 7.07l1.5-1.5" />
+                              </svg>
+                            </span>
+                            <span className={styles.btnLabel}>Share</span>
+                        </CopyLinkButton>
                     </div>
 
                     <div className={`${styles.drawer} ${showTemplate ? styles.drawerVisible : styles.drawerHidden}`}>
@@ -1092,6 +1913,9 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                                 onSelect={handleSelectTemplate}
                             />
                         </div>
+                        {visibleRecentDesigns.length > 0 && (
+                          <RecentDesigns designs={visibleRecentDesigns} onApply={applyRecentDesign} />
+                        )}
                     </div>
 
                     {templateSupportsDesign(selectedTemplate) && (
@@ -1102,7 +1926,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                                 <span className={styles.selectedDesignInfo}>
                                   <img
                                     className={styles.selectedDesignThumb}
-                                    src={selectedDesign.ThumbnailUrl || (selectedDesign.DesignPreviewURL ? toProxyAssetUrl(selectedDesign.DesignPreviewURL) : '')}
+                                    {...sizedImage(selectedDesign.ThumbnailUrl || selectedDesign.DesignPreviewURL || '', THUMB_WIDTH.selectedDesign)}
                                     alt={selectedDesign.DesignName}
                                   />
                                   <span className={styles.selectedDesignName}>{selectedDesign.DesignName}</span>
@@ -1112,6 +1936,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                                   designs={availableDesigns}
                                   selectedDesignKey={selectedDesign ? designKey(selectedDesign) : null}
                                   onSelect={handleSelectDesign}
+                                  apiEndpointUrl={apiEndpointUrl}
                               />
                           </div>
                       </div>
@@ -1123,6 +1948,15 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                             selectedTemplate={selectedTemplate}
                             textLines={textLines}
                             setTextLines={setTextLines}
+                            errors={personalizationErrors}
+                            constraints={textConstraints}
+                            lineIssues={lineIssues}
+                            fonts={availableFonts}
+                            colors={availableColors}
+                            lineStyles={lineStyles}
+                            linkLines={linkLines}
+                            onLinkLinesChange={handleLinkLinesChange}
+                            onLineStyleChange={handleLineStyleChange}
                           />
                       </div>
                     )}
@@ -1134,7 +1968,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                               <FontSelector
                                   fonts={availableFonts}
                                   selectedFont={font}
-                                  onSelect={setFont}
+                                  onSelect={selectFontForAllLines}
                               />
                           </div>
                       </div>
@@ -1151,7 +1985,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                           <ColorSelector
                               colors={availableColors}
                               selectedColor={color}
-                              onSelect={setColor}
+                              onSelect={selectColorForAllLines}
                           />
                       </div>
                     )}
@@ -1167,11 +2001,17 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                           showSpinner={isRendering}
                           onLoaded={() => setIsRendering(false)}
                           imgKey={imgKey}
+                          notice={slowDownNotice || previewFlash}
                         />
                     </div>
 
                     <div className={styles.controlContainer}>
-                        <h2 className={styles.sectionTitle}>Customize Your Product</h2>
+                        <div className={styles.titleRow}>
+                            <h2 className={styles.sectionTitle}>Customize Your Product</h2>
+                            {historyControls(styles.historyControls)}
+                        </div>
+
+                        {draftOffer && <DraftPrompt draft={draftOffer.entry} onRestore={restoreDraft} onDismiss={dismissDraft} />}
 
                         <div className={styles.labelInputDiv}>
                             <label className={styles.sectionLabel}>Template:</label>
@@ -1189,7 +2029,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                                 <span className={styles.selectedDesignInfo}>
                                   <img
                                     className={styles.selectedDesignThumb}
-                                    src={selectedDesign.ThumbnailUrl || (selectedDesign.DesignPreviewURL ? toProxyAssetUrl(selectedDesign.DesignPreviewURL) : '')}
+                                    {...sizedImage(selectedDesign.ThumbnailUrl || selectedDesign.DesignPreviewURL || '', THUMB_WIDTH.selectedDesign)}
                                     alt={selectedDesign.DesignName}
                                   />
                                   <span className={styles.selectedDesignName}>{selectedDesign.DesignName}</span>
@@ -1199,6 +2039,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                                   designs={availableDesigns}
                                   selectedDesignKey={selectedDesign ? designKey(selectedDesign) : null}
                                   onSelect={handleSelectDesign}
+                                  apiEndpointUrl={apiEndpointUrl}
                               />
                           </div>
                         )}
@@ -1207,6 +2048,15 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                           selectedTemplate={selectedTemplate}
                           textLines={textLines}
                           setTextLines={setTextLines}
+                          errors={personalizationErrors}
+                          constraints={textConstraints}
+                          lineIssues={lineIssues}
+                          fonts={availableFonts}
+                          colors={availableColors}
+                          lineStyles={lineStyles}
+                          linkLines={linkLines}
+                          onLinkLinesChange={handleLinkLinesChange}
+                          onLineStyleChange={handleLineStyleChange}
                         />
 
                         {hasTextLines && (
@@ -1215,7 +2065,7 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                               <FontSelector
                                   fonts={availableFonts}
                                   selectedFont={font}
-                                  onSelect={setFont}
+                                  onSelect={selectFontForAllLines}
                               />
                           </div>
                         )}
@@ -1231,10 +2081,25 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
                               <ColorSelector
                                   colors={availableColors}
                                   selectedColor={color}
-                                  onSelect={setColor}
+                                  onSelect={selectColorForAllLines}
                               />
                           </div>
                         )}
+
+                        <div className={styles.labelInputDiv}>
+                            <CopyLinkButton
+                                className={styles.outlineButton}
+                                getUrl={currentDesignLink}
+                                onCopied={() => setPreviewFlash('Link copied')}
+                                disabled={!linkRestored}
+                            >
+                                Copy link to this design
+                            </CopyLinkButton>
+                        </div>
+
+                        {visibleRecentDesigns.length > 0 && (
+                          <RecentDesigns designs={visibleRecentDesigns} onApply={applyRecentDesign} />
+                        )}
                     </div>
                 </>
             )}
@@ -1246,31 +2111,64 @@ function resolveFontFromOverride(tpl, override, availableFonts) {
 /**
  * Programmatically mount the widget into a specific DOM element.
  * @param {HTMLElement} el
+ * @param {Partial<import('./options.js').DesignerOptions>=} options - merged over the element's
+ *   data-* attributes, see src/options.js
+ * @returns {import('./controller.js').DesignerController|undefined} imperative handle for the
+ *   host page (also kept on `el.rbgDesigner`)
  */
-export function mountRbgDesigner(el) {
-  if (!el) return;
+export function mountRbgDesigner(el, options) {
+  if (!el) return undefined;
   // Prevent double-mounts if this script is included more than once or re-run
-  if (el.dataset.rbgMounted === '1') return;
+  if (el.dataset.rbgMounted === '1') return el.rbgDesigner;
   el.dataset.rbgMounted = '1';
-  ReactDOM.createRoot(el).render(
+  const root = ReactDOM.createRoot(el);
+  const { controller, host } = createDesignerController({
+    onUnmount: () => {
+      root.unmount();
+      delete el.dataset.rbgMounted;
+      delete el.rbgDesigner;
+    },
+  });
+  el.rbgDesigner = controller;
+  root.render(
     <React.StrictMode>
-      <App />
+      <App host={host} options={resolveDesignerOptions(el, options)} />
     </React.StrictMode>
   );
+  return controller;
 }
 
-// If this script is loaded on a page that already contains the container,
-// auto-mount so it "just works" in BigCommerce Page Builder.
-if (typeof window !== 'undefined') {
-  const container = document.getElementById('rbgDesigner');
-  if (container) {
+// Containers mounted automatically: the original single #rbgDesigner, plus any number of
+// [data-rbg-designer] elements (e.g. bag and headcover designers on one bundle page)
+export const RBG_DESIGNER_SELECTOR = '#rbgDesigner, [data-rbg-designer]';
+
+/**
+ * Mount a designer on every matching element that isn't mounted yet. Each instance takes its
+ * own options from its data-* attributes (variant, API base, tenant, ...).
+ * @param {string=} selector
+ * @param {ParentNode=} root
+ * @returns {import('./controller.js').DesignerController[]} one per matching element
+ */
+export function mountAllRbgDesigners(selector = RBG_DESIGNER_SELECTOR, root = document) {
+  const controllers = [];
+  root.querySelectorAll(selector).forEach((container) => {
     try {
-      mountRbgDesigner(container);
+      const controller = mountRbgDesigner(container);
+      if (controller) controllers.push(controller);
     } catch (e) {
       // eslint-disable-next-line no-console
       console.error('[RBG]', 'Failed to mount rbg-pulseid-widget:', e);
     }
-  }
+  });
+  return controllers;
 }
 
+// If this script is loaded on a page that already contains containers,
+// auto-mount so it "just works" in BigCommerce Page Builder.
+if (typeof window !== 'undefined') {
+  mountAllRbgDesigners();
+}
+
+export { connectBigCommerceCart, CartError } from './cart.js';
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Carries the personalization into the BigCommerce cart, so shoppers don't retype their text
+ * into product options.
+ *
+ * Two ways to connect, both keeping add-to-cart blocked until the preview shows the current
+ * design (status 'ready'):
+ *
+ * - mode 'modifiers': writes the design into the product form's modifier fields, named in
+ *   `fields` (e.g. { lines: ['attribute[112]', 'attribute[113]'], colourCode: 'attribute[114]' }),
+ *   and lets the theme submit the form as usual.
+ * - mode 'storefront-api': `addToCart()` posts a line item through the Storefront Cart API, with
+ *   `fields` giving modifier option IDs (e.g. { lines: [112, 113], renderUrl: 115 }).
+ *
+ *   const designer = RbgDesignerWidget.mountRbgDesigner(el);
+ *   RbgDesignerWidget.connectBigCommerceCart(designer, {
+ *     mode: 'modifiers',
+ *     fields: { templateCode: 'attribute[110]', lines: ['attribute[111]'], renderUrl: 'attribute[115]' },
+ *   });
+ *
+ * `cartApiBase` points the Storefront API calls elsewhere, e.g. the local stub from
+ * `npm run stub:cart` (scripts/stub-cart-server.mjs).
+ */
+
+/**
+ * @typedef {Object} CartFieldMap - form field names (modifiers) or option IDs (storefront-api)
+ * @property {string|number=} templateCode
+ * @property {(string|number)[]|string|number=} lines - one field per line, or one for all lines
+ *   (joined with newlines)
+ * @property {string|number=} font
+ * @property {string|number=} colourCode
+ * @property {(string|number)[]=} lineFonts - one field per line, for lines styled individually
+ * @property {(string|number)[]=} lineColourCodes - one field per line
+ * @property {string|number=} designName
+ * @property {string|number=} renderUrl - the preview's signed URL (no session token), valid
+ *   long enough for fulfilment
+ */
+
+/**
+ * @typedef {Object} CartOptions
+ * @property {'modifiers'|'storefront-api'} mode
+ * @property {CartFieldMap} fields
+ * @property {HTMLFormElement|string=} form - product form (default 'form[data-cart-item-add]')
+ * @property {string=} addButton - add-to-cart buttons to disable while blocked
+ * @property {number=} productId - storefront-api: defaults to the form's product_id field
+ * @property {number=} variantId - storefront-api
+ * @property {string=} cartApiBase - storefront-api: origin of /api/storefront ('' = this page)
+ */
+
+const DEFAULT_FORM = 'form[data-cart-item-add]';
+const DEFAULT_ADD_BUTTON = '#form-action-addToCart, [data-rbg-add-to-cart]';
+
+const BLOCKED_REASONS = {
+  loading: 'The design is still loading',
+  pending: 'The preview is still updating',
+  invalid: 'Please fix the highlighted text',
+  error: 'The preview could not be rendered',
+};
+
+export class CartError extends Error {
+  /**
+   * @param {string} message
+   * @param {'BLOCKED'|'NO_PRODUCT'|'CART_REQUEST_FAILED'} code
+   * @param {number=} status - HTTP status of a failed cart request
+   */
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'CartError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * [field, value] pairs for the configured fields.
+ * @param {import('./controller.js').DesignerState} state
+ * @param {CartFieldMap} fields
+ * @returns {[string|number, string][]}
+ */
+function fieldValues(state, fields) {
+  const pairs = [];
+  const add = (field, value) => {
+    if (field != null && field !== '') pairs.push([field, value ?? '']);
+  };
+  add(fields.templateCode, state.templateCode);
+  if (Array.isArray(fields.lines)) {
+    fields.lines.forEach((field, i) => add(field, state.lines[i]));
+  } else {
+    add(fields.lines, state.lines.filter(Boolean).join('\n'));
+  }
+  add(fields.font, state.font);
+  add(fields.colourCode, state.colourCode);
+  (fields.lineFonts || []).forEach((field, i) => add(field, state.lineStyles[i]?.font));
+  (fields.lineColourCodes || []).forEach((field, i) => add(field, state.lineStyles[i]?.colourCode));
+  add(fields.designName, state.designName);
+  add(fields.renderUrl, state.renderUrl);
+  return pairs;
+}
+
+function writeFormField(form, name, value) {
+  const field = form.elements.namedItem(name);
+  if (!field || !('value' in field)) return;
+  if (field instanceof HTMLSelectElement) {
+    // Select modifiers hold option IDs; match on the visible label too
+    const option = Array.from(field.options).find(o => o.value === value || o.text.trim() === value);
+    if (!option || field.value === option.value) return;
+    field.value = option.value;
+  } else {
+    if (field.value === value) return;
+    field.value = value;
+  }
+  // The theme recalculates price and stock from these
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Connect a designer to the product page's add-to-cart.
+ * @param {import('./controller.js').DesignerController} designer
+ * @param {CartOptions} options
+ */
+export function connectBigCommerceCart(designer, options) {
+  const { mode, fields = {}, cartApiBase = '' } = options;
+  if (mode !== 'modifiers' && mode !== 'storefront-api') {
+    throw new TypeError(`connectBigCommerceCart: unknown mode '${mode}' (expected 'modifiers' or 'storefront-api')`);
+  }
+  const form = typeof options.form === 'object' && options.form
+    ? options.form
+    : document.querySelector(options.form || DEFAULT_FORM);
+  if (mode === 'modifiers' && !form) throw new TypeError('connectBigCommerceCart: product form not found');
+
+  let state = designer.getState();
+  let connected = true;
+
+  const blockedReason = () => {
+    if (!connected || state.status === 'ready') return '';
+    return BLOCKED_REASONS[state.status] || BLOCKED_REASONS.loading;
+  };
+
+  const updateButtons = () => {
+    const reason = blockedReason();
+    const scope = form || document;
+    scope.querySelectorAll(options.addButton || DEFAULT_ADD_BUTTON).forEach((button) => {
+      button.disabled = !!reason;
+      if (reason) button.dataset.rbgBlocked = reason;
+      else delete button.dataset.rbgBlocked;
+    });
+  };
+
+  const update = (next) => {
+    state = next;
+    if (mode === 'modifiers') {
+      fieldValues(state, fields).forEach(([name, value]) => writeFormField(form, String(name), value));
+    }
+    updateButtons();
+  };
+
+  // Capture on document so this runs before the theme's own submit handler on the form
+  const onSubmit = (e) => {
+    if (e.target !== form || !blockedReason()) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    updateButtons();
+  };
+  if (form) document.addEventListener('submit', onSubmit, true);
+
+  const unsubscribe = ['change', 'render', 'status'].map(event => designer.on(event, (payload) => {
+    update(event === 'render' ? payload.state : payload);
+  }));
+  update(state);
+
+  const cartRequest = async (path, init) => {
+    const res = await fetch(`${cartApiBase.replace(/\/+$/, '')}/api/storefront${path}`, {
+      credentials: 'include',
+      ...init,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(init?.headers || {}) },
+    });
+    if (!res.ok) throw new CartError(`Cart request failed: HTTP ${res.status}`, 'CART_REQUEST_FAILED', res.status);
+    return res.json();
+  };
+
+  return {
+    /** @returns {boolean} */
+    canAddToCart: () => !blockedReason(),
+
+    /** Why add-to-cart is blocked, or '' */
+    blockedReason,
+
+    /**
+     * storefront-api mode: add the product with the current personalization.
+     * @param {{ quantity?: number }=} opts
+     * @returns {Promise<Object>} the updated cart
+     */
+    async addToCart({ quantity = 1 } = {}) {
+      if (mode !== 'storefront-api') throw new TypeError("addToCart() needs mode 'storefront-api'");
+      const reason = blockedReason();
+      if (reason) throw new CartError(reason, 'BLOCKED');
+
+      const productId = Number(options.productId ?? form?.elements.namedItem('product_id')?.value);
+      if (!Number.isInteger(productId) || productId <= 0) throw new CartError('No product ID configured', 'NO_PRODUCT');
+
+      const lineItem = {
+        productId,
+        quantity,
+        optionSelections: fieldValues(state, fields).map(([optionId, optionValue]) => ({ optionId: Number(optionId), optionValue })),
+      };
+      if (options.variantId) lineItem.variantId = Number(options.variantId);
+
+      const carts = await cartRequest('/carts', { method: 'GET' });
+      const cart = Array.isArray(carts) ? carts[0] : null;
+      const body = JSON.stringify({ lineItems: [lineItem] });
+      return cart
+        ? cartRequest(`/carts/${encodeURIComponent(cart.id)}/items`, { method: 'POST', body })
+        : cartRequest('/carts', { method: 'POST', body });
+    },
+
+    /** Stop syncing and unblock the page's add-to-cart */
+    disconnect() {
+      unsubscribe.forEach(off => off());
+      if (form) document.removeEventListener('submit', onSubmit, true);
+      connected = false;
+      updateButtons();
+    },
+  };
+}
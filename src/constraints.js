@@ -0,0 +1,146 @@
+/**
+ * Limits on what a shopper can type into each text line, checked as they type so PulseID never
+ * gets text it would render badly or truncate.
+ *
+ * Shared by the widget and the proxy (netlify/lib/personalization.js), which validates renders
+ * with the same rules; keep it free of browser and Node APIs.
+ *
+ * Read from template and font metadata. PulseID doesn't document any of these fields
+ * (MaxCharacters, AllowedCharacters, UppercaseOnly, ...) - they're used when a catalog entry
+ * happens to carry them. Where the metadata says nothing, `textConstraints` overrides fill in -
+ * the tenant's (from the proxy, which enforces them) on top of the widget option's - and
+ * without either a font gets DEFAULT_ALLOWED_CHARACTERS:
+ *
+ *   {
+ *     "elements": { "RBG_Two_Lines/Line1": { "maxLength": 12 }, "Line2": { "maxLength": 8 }, "*": { "maxLength": 20 } },
+ *     "fonts": { "Script": { "allowedCharacters": "ABC...xyz '&" }, "Varsity": { "uppercase": true } }
+ *   }
+ */
+
+// Same defaults as the proxy: 100 characters, from what embroidery fonts generally stitch -
+// Latin letters (accented ones included), digits and everyday punctuation. Emoji, symbols and
+// other scripts need the font's own list or a tenant override.
+export const DEFAULT_MAX_CHARACTERS = 100;
+const range = (from, to) => Array.from({ length: to.codePointAt(0) - from.codePointAt(0) + 1 }, (_, i) => String.fromCodePoint(from.codePointAt(0) + i)).join('');
+export const DEFAULT_ALLOWED_CHARACTERS = range('A', 'Z') + range('a', 'z') + range('0', '9')
+  + range('À', 'Ö') + range('Ø', 'ö') + range('ø', 'ÿ')
+  + `.,'"!?&-/#@()+:;`;
+
+// Block lettering is only stitched in capitals
+const BLOCK_FONT = /\bblock\b/i;
+
+/**
+ * @typedef {Object} TextConstraint
+ * @property {number} maxLength - in characters (code points)
+ * @property {Set<string>} allowed - characters the font can stitch (besides the space)
+ * @property {boolean} uppercase - text is shown and rendered in capitals
+ */
+
+/**
+ * @typedef {Object} ConstraintOverrides
+ * @property {Object<string, { maxLength?: number }>} elements - keyed "<TemplateCode>/<ElementName>",
+ *   "<ElementName>" or "*"
+ * @property {Object<string, { allowedCharacters?: string, uppercase?: boolean }>} fonts - keyed
+ *   FontName or "*"
+ */
+
+const positive = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+};
+
+function findElement(template, name) {
+  if (!template || !Array.isArray(template.TemplateElements) || !name) return null;
+  const want = String(name).trim().toLowerCase();
+  return template.TemplateElements.find(el => String(el?.ElementName || '').trim().toLowerCase() === want) || null;
+}
+
+/**
+ * Constraint for one line.
+ * @param {{
+ *   template: Object|null,
+ *   elementName: string,
+ *   font: Object|null,
+ *   overrides: ConstraintOverrides,
+ * }} args - `font` is the line's font as listed in the catalog
+ * @returns {TextConstraint}
+ */
+export function lineConstraint({ template, elementName, font, overrides }) {
+  const element = findElement(template, elementName);
+  const elementRules = overrides.elements[`${template?.Code}/${elementName}`] || overrides.elements[elementName] || overrides.elements['*'] || {};
+  const fontName = font?.FontName || '';
+  const fontRules = overrides.fonts[fontName] || overrides.fonts['*'] || {};
+
+  const maxLength = positive(element?.MaxCharacters ?? element?.MaxLength ?? element?.MaxChars)
+    || positive(elementRules.maxLength)
+    || DEFAULT_MAX_CHARACTERS;
+
+  const chars = font?.AllowedCharacters || font?.CharacterSet || font?.Characters || fontRules.allowedCharacters;
+  const allowed = new Set([...(typeof chars === 'string' && chars.length ? chars : DEFAULT_ALLOWED_CHARACTERS)]);
+
+  const flag = font?.UppercaseOnly ?? font?.AllCaps ?? fontRules.uppercase;
+  const uppercase = typeof flag === 'boolean' ? flag : BLOCK_FONT.test(fontName);
+
+  return { maxLength, allowed, uppercase };
+}
+
+const isAllowed = (ch, { allowed }) => ch === ' ' || allowed.has(ch);
+
+/**
+ * Text as it's shown and rendered (capitals for uppercase fonts).
+ * @param {string} text
+ * @param {TextConstraint} constraint
+ */
+export function displayText(text, constraint) {
+  return constraint.uppercase ? text.toUpperCase() : text;
+}
+
+/** @param {number} maxLength */
+export const tooLongMessage = (maxLength) => `Use at most ${maxLength} characters.`;
+
+/** @param {string[]} chars */
+export const invalidCharactersMessage = (chars) => `These characters can't be embroidered in this font: ${chars.join(' ')}`;
+
+/**
+ * What breaks the constraint in a line, as it's rendered.
+ * @param {string} text
+ * @param {TextConstraint} constraint
+ * @returns {{ tooLong: boolean, invalidCharacters: string[] }} invalidCharacters - distinct
+ */
+export function textViolations(text, constraint) {
+  const chars = [...displayText(text, constraint)];
+  return {
+    tooLong: chars.length > constraint.maxLength,
+    invalidCharacters: [...new Set(chars.filter(ch => !isAllowed(ch, constraint)))],
+  };
+}
+
+/**
+ * Shopper-facing problems with a line, worded like the proxy's validation errors.
+ * @param {string} text
+ * @param {TextConstraint} constraint
+ * @returns {string[]}
+ */
+export function checkText(text, constraint) {
+  const { tooLong, invalidCharacters } = textViolations(text, constraint);
+  const problems = [];
+  if (tooLong) problems.push(tooLongMessage(constraint.maxLength));
+  if (invalidCharacters.length) problems.push(invalidCharactersMessage(invalidCharacters));
+  return problems;
+}
+
+/**
+ * Pasted text cleaned up to fit: typographic quotes and dashes made plain, line breaks turned
+ * into spaces, unsupported characters dropped, and cut to `room` characters.
+ * @param {string} text
+ * @param {TextConstraint} constraint
+ * @param {number} room - characters still free in the input
+ */
+export function sanitizeText(text, constraint, room) {
+  const plain = displayText(String(text).normalize('NFC'), constraint)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-');
+  return [...plain].filter(ch => isAllowed(ch, constraint)).slice(0, Math.max(0, room)).join('');
+}
@@ -0,0 +1,138 @@
+/**
+ * Imperative handle returned by mountRbgDesigner(), for host page scripts (e.g. the
+ * BigCommerce theme syncing the personalization into the product form).
+ *
+ *   const designer = RbgDesignerWidget.mountRbgDesigner(el);
+ *   await designer.ready;
+ *   designer.on('change', (state) => { ... });
+ *   designer.setState({ lines: ['Happy Birthday'], colourCode: '1842' });
+ */
+
+/**
+ * @typedef {Object} DesignerState
+ * @property {string|null} templateCode
+ * @property {string[]} lines
+ * @property {string} font
+ * @property {string|null} colourCode
+ * @property {string|null} designName
+ * @property {boolean} linkLines - every line uses `font` and `colourCode`
+ * @property {{ font: string, colourCode: string|null }[]} lineStyles - what each line renders with;
+ *   setState() applies `font`/`colourCode` to every line, then these per line
+ * @property {string} renderUrl - URL of the current rendered preview ('' until the first render);
+ *   signed by the proxy for exactly this render and free of the expiring session token, so it
+ *   can be stored with an order and opened at fulfilment
+ * @property {RenderStatus} status
+ */
+
+/**
+ * @typedef {'loading'|'pending'|'ready'|'invalid'|'error'} RenderStatus
+ * Whether renderUrl shows the current state: 'loading' before the first render, 'pending' while
+ * an edit waits to be rendered, 'ready' once it is, 'invalid' when the proxy rejected the text,
+ * 'error' when the render failed.
+ */
+
+/**
+ * @typedef {'change'|'render'|'status'|'error'} DesignerEvent
+ * 'change' and 'status' receive a DesignerState; 'render' receives { url, state }; 'error' receives
+ * { type, message, ... } where type is 'load', 'render', 'rate-limit', 'validation' or 'state'
+ * (setState() named an unknown template, font, colour or design).
+ */
+
+/**
+ * @typedef {Object} DesignerController
+ * @property {() => DesignerState} getState
+ * @property {(partial: Partial<Omit<DesignerState, 'renderUrl'|'status'>>) => void} setState
+ * @property {(event: DesignerEvent, cb: Function) => () => void} on - returns an unsubscribe function
+ * @property {(event: DesignerEvent, cb: Function) => void} off
+ * @property {() => void} unmount
+ * @property {Promise<DesignerState>} ready - resolves once the catalog is loaded and the first template
+ *   applied; rejects if the designer is unmounted before then
+ */
+
+const EVENTS = ['change', 'render', 'status', 'error'];
+
+/**
+ * Controller plus the hooks the App component uses to back it.
+ * @param {{ onUnmount: () => void }} options
+ */
+export function createDesignerController({ onUnmount }) {
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map(EVENTS.map(e => [e, new Set()]));
+  let impl = null;          // { getState, setState } supplied by the mounted App
+  let queued = [];          // setState calls made before the App bound itself
+  let unmounted = false;
+  let isReady = false;
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Callers that never await `ready` shouldn't see an unhandled rejection on unmount
+  ready.catch(() => {});
+
+  const assertEvent = (event) => {
+    if (!listeners.has(event)) throw new Error(`Unknown designer event '${event}' (expected ${EVENTS.join(', ')})`);
+  };
+
+  /** @type {DesignerController} */
+  const controller = {
+    getState() {
+      if (!impl) return { templateCode: null, lines: [], font: '', colourCode: null, designName: null, linkLines: true, lineStyles: [], renderUrl: '', status: 'loading' };
+      return impl.getState();
+    },
+    setState(partial) {
+      if (!partial || typeof partial !== 'object') throw new TypeError('setState expects an object');
+      if (impl) impl.setState(partial);
+      else queued.push(partial);
+    },
+    on(event, cb) {
+      assertEvent(event);
+      listeners.get(event).add(cb);
+      return () => controller.off(event, cb);
+    },
+    off(event, cb) {
+      assertEvent(event);
+      listeners.get(event).delete(cb);
+    },
+    unmount() {
+      if (unmounted) return;
+      unmounted = true;
+      impl = null;
+      listeners.forEach(set => set.clear());
+      // Settled here rather than in host.unbind(): StrictMode unbinds and rebinds on its
+      // rehearsal unmount, and the designer still becomes ready after that
+      if (!isReady) rejectReady(new Error('The designer was unmounted before it was ready'));
+      onUnmount();
+    },
+    ready,
+  };
+
+  // Used by App; not part of the public surface
+  const host = {
+    bind(next) {
+      impl = next;
+      const pending = queued;
+      queued = [];
+      pending.forEach(partial => impl.setState(partial));
+    },
+    unbind() {
+      impl = null;
+    },
+    emit(event, payload) {
+      listeners.get(event).forEach(cb => {
+        try {
+          cb(payload);
+        } catch (e) {
+          console.error('[RBG]', `'${event}' listener threw:`, e);
+        }
+      });
+    },
+    markReady(state) {
+      isReady = true;
+      resolveReady(state);
+    },
+  };
+
+  return { controller, host };
+}
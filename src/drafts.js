@@ -0,0 +1,108 @@
+/**
+ * Per-variant drafts in localStorage, so a refresh or a trip back to the category page doesn't
+ * lose the shopper's design. Each variant keeps the latest draft plus a short list of recently
+ * rendered designs; entries older than the TTL are dropped when read.
+ *
+ * Storage can be unavailable (private browsing, blocked cookies) or full; every operation then
+ * quietly does nothing.
+ */
+
+/**
+ * @typedef {Pick<import('./controller.js').DesignerState,
+ *   'templateCode'|'lines'|'font'|'colourCode'|'designName'|'linkLines'|'lineStyles'>} DraftState
+ */
+
+/**
+ * @typedef {Object} DraftEntry
+ * @property {DraftState} state
+ * @property {number} savedAt - ms since epoch
+ */
+
+const KEY_PREFIX = 'rbg-designer:drafts:v1';
+
+/**
+ * Fields worth keeping from a designer state.
+ * @param {import('./controller.js').DesignerState} state
+ * @returns {DraftState}
+ */
+export function draftState({ templateCode, lines, font, colourCode, designName, linkLines = true, lineStyles = [] }) {
+  return { templateCode, lines: [...lines], font, colourCode, designName, linkLines, lineStyles: lineStyles.map(st => ({ ...st })) };
+}
+
+/** Whether two drafts describe the same design */
+export function sameDraft(a, b) {
+  return JSON.stringify(draftState(a)) === JSON.stringify(draftState(b));
+}
+
+/**
+ * Short label for a draft: its text, else its design or template.
+ * @param {DraftState} state
+ */
+export function draftSummary(state) {
+  return state.lines.filter(l => l && l.trim()).join(' / ') || state.designName || state.templateCode || 'Design';
+}
+
+function storage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null; // access itself throws when storage is blocked
+  }
+}
+
+/**
+ * @param {{ scope: string, variantId: string, ttlMs: number, recentLimit: number }} options
+ *   `scope` separates tenants sharing one storefront origin
+ */
+export function createDraftStore({ scope, variantId, ttlMs, recentLimit }) {
+  const key = `${KEY_PREFIX}:${scope}:${variantId}`;
+
+  /** @returns {{ draft: DraftEntry|null, recent: DraftEntry[] }} */
+  const read = () => {
+    const empty = { draft: null, recent: [] };
+    try {
+      const parsed = JSON.parse(storage()?.getItem(key) || 'null');
+      if (!parsed || typeof parsed !== 'object') return empty;
+      const fresh = (entry) => entry && entry.state && Array.isArray(entry.state.lines) && Date.now() - entry.savedAt < ttlMs;
+      return {
+        draft: fresh(parsed.draft) ? parsed.draft : null,
+        recent: Array.isArray(parsed.recent) ? parsed.recent.filter(fresh) : [],
+      };
+    } catch {
+      return empty;
+    }
+  };
+
+  const write = (data) => {
+    try {
+      const store = storage();
+      if (!store) return;
+      if (!data.draft && data.recent.length === 0) store.removeItem(key);
+      else store.setItem(key, JSON.stringify(data));
+    } catch {
+      // quota exceeded or storage blocked; drafts are best-effort
+    }
+  };
+
+  return {
+    load: read,
+
+    /** @param {import('./controller.js').DesignerState} state */
+    saveDraft(state) {
+      write({ ...read(), draft: { state: draftState(state), savedAt: Date.now() } });
+    },
+
+    /**
+     * Add a design to the front of the recent list (moving it if it's already there).
+     * @param {import('./controller.js').DesignerState|DraftState} state
+     * @returns {DraftEntry[]} the updated list
+     */
+    remember(state) {
+      const data = read();
+      const entry = { state: draftState(state), savedAt: Date.now() };
+      data.recent = [entry, ...data.recent.filter(e => !sameDraft(e.state, entry.state))].slice(0, recentLimit);
+      write(data);
+      return data.recent;
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Undo/redo history over the personalization (template, lines, font, colour, design), as plain
+ * immutable values for React state.
+ *
+ * Consecutive text edits less than COALESCE_MS apart collapse into one step, so undo goes back
+ * a word or phrase rather than a keystroke. The App records a template switch only once the
+ * template's defaults are applied, making the switch and its resets a single step.
+ */
+import { draftState, sameDraft } from './drafts.js';
+
+export const HISTORY_LIMIT = 50;
+export const COALESCE_MS = 1000;
+
+/**
+ * @typedef {Object} EditHistory
+ * @property {import('./drafts.js').DraftState[]} past - oldest first
+ * @property {import('./drafts.js').DraftState} present
+ * @property {import('./drafts.js').DraftState[]} future - next redo first
+ * @property {{ kind: 'text'|'other', at: number }|null} lastEdit - for coalescing
+ */
+
+/**
+ * @param {import('./controller.js').DesignerState} state
+ * @returns {EditHistory}
+ */
+export function createHistory(state) {
+  return { past: [], present: draftState(state), future: [], lastEdit: null };
+}
+
+function onlyTextChanged(a, b) {
+  return sameDraft({ ...a, lines: [] }, { ...b, lines: [] });
+}
+
+/**
+ * History with `state` as the new present (unchanged when it already is).
+ * @param {EditHistory} history
+ * @param {import('./controller.js').DesignerState} state
+ * @param {number=} now
+ * @returns {EditHistory}
+ */
+export function recordEdit(history, state, now = Date.now()) {
+  const next = draftState(state);
+  if (sameDraft(history.present, next)) return history;
+
+  const kind = onlyTextChanged(history.present, next) ? 'text' : 'other';
+  const coalesce = kind === 'text' && history.lastEdit?.kind === 'text' && now - history.lastEdit.at < COALESCE_MS;
+  return {
+    past: coalesce ? history.past : [...history.past, history.present].slice(-HISTORY_LIMIT),
+    present: next,
+    future: [],
+    lastEdit: { kind, at: now },
+  };
+}
+
+/** @param {EditHistory} history */
+export function undoEdit(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastEdit: null,
+  };
+}
+
+/** @param {EditHistory} history */
+export function redoEdit(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastEdit: null,
+  };
+}
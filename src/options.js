@@ -0,0 +1,181 @@
+/**
+ * Per-mount configuration for the designer. Passed to mountRbgDesigner(el, options) or read
+ * from data-* attributes on the container, e.g.
+ *
+ *   <div data-rbg-designer
+ *        data-variant-id="1801"
+ *        data-template-prefix="RBG_"
+ *        data-template-code="RBG_Two_Lines"
+ *        data-initial-text='["Happy", "Birthday"]'
+ *        data-default-colour-code="1842"></div>
+ *
+ * Options passed to mountRbgDesigner() win over data attributes. Anything missing or invalid
+ * falls back to DEFAULT_DESIGNER_OPTIONS (with a console warning for invalid values).
+ */
+
+/**
+ * @typedef {Object} DesignerOptions
+ * @property {string} templateCode - template to render with until one is selected
+ * @property {string} templatePrefix - only templates whose Code starts with this are offered
+ * @property {string} fontType - only fonts whose FontType list includes this are offered when
+ *   the catalog loads without the proxy's bootstrap, which lists the tenant's font type (the
+ *   only fonts the proxy renders)
+ * @property {string} defaultColourCode - colour used when a template doesn't set one
+ * @property {string[]} initialText - text lines shown before the first template applies its own
+ * @property {string} initialFont
+ * @property {number} renderDebounceMs - quiet time after an edit before the preview re-renders
+ * @property {number} dpi - render resolution
+ * @property {string[]} variantParams - page URL parameters holding the product variant, in order
+ * @property {string} variantId - explicit variant; overrides variantParams when set
+ * @property {string} apiBase - proxy URL; '' infers it from the script URL (or window.__RBG_API_BASE)
+ * @property {string} tenant - PulseID tenant; '' uses window.__RBG_TENANT, else the proxy picks
+ *   one from the page origin
+ * @property {number} draftTtlHours - how long drafts and recent designs are kept in
+ *   localStorage; 0 turns drafts off
+ * @property {number} recentDesigns - length of the "recent designs" list
+ * @property {import('./constraints.js').ConstraintOverrides} textConstraints - merchant limits
+ *   for templates and fonts whose metadata doesn't set them; the tenant's, from the proxy, win
+ *   (see src/constraints.js)
+ * @property {string[]} blockedWords - words shoppers may not use, on top of the defaults and the
+ *   tenant's list from the proxy (see src/profanity.js)
+ * @property {string} shareParam - page URL parameter carrying a shared design (see src/share.js);
+ *   give each instance its own when several share a page
+ */
+
+/** @type {Readonly<DesignerOptions>} */
+export const DEFAULT_DESIGNER_OPTIONS = Object.freeze({
+  templateCode: 'RBG_Default_Template',
+  templatePrefix: 'RBG_',
+  fontType: 'embroidery-template',
+  defaultColourCode: '1801',
+  initialText: Object.freeze(['My Custom Text']),
+  initialFont: 'Block',
+  renderDebounceMs: 1000,
+  dpi: 72,
+  variantParams: Object.freeze(['variantid', 'sku']),
+  variantId: '',
+  apiBase: '',
+  tenant: '',
+  draftTtlHours: 7 * 24,
+  recentDesigns: 5,
+  textConstraints: Object.freeze({ elements: Object.freeze({}), fonts: Object.freeze({}) }),
+  blockedWords: Object.freeze([]),
+  shareParam: 'rbg',
+});
+
+const MAX_TEXT_LINES = 3;
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const text = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+const list = (v) => (Array.isArray(v) && v.every(x => typeof x === 'string') ? v : undefined);
+
+function integerIn(min, max) {
+  return (v) => {
+    const n = typeof v === 'string' && v.trim() ? Number(v) : v;
+    return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+  };
+}
+
+// Each validator returns the normalized value, or undefined when the value is unusable
+const VALIDATORS = {
+  templateCode: text,
+  templatePrefix: text,
+  fontType: text,
+  defaultColourCode: (v) => text(typeof v === 'number' ? String(v) : v),
+  initialText: (v) => {
+    const lines = list(v);
+    return lines && lines.length > 0 && lines.length <= MAX_TEXT_LINES ? lines : undefined;
+  },
+  initialFont: text,
+  renderDebounceMs: integerIn(0, 10000),
+  dpi: integerIn(36, 600),
+  variantParams: (v) => {
+    const names = list(v)?.map(s => s.trim()).filter(Boolean);
+    return names && names.length > 0 ? names : undefined;
+  },
+  variantId: (v) => text(typeof v === 'number' ? String(v) : v),
+  apiBase: (v) => {
+    const url = text(v);
+    return url && /^(https?:\/\/|\/)/i.test(url) ? url.replace(/\/+$/, '') : undefined;
+  },
+  tenant: text,
+  draftTtlHours: integerIn(0, 90 * 24),
+  recentDesigns: integerIn(0, 20),
+  textConstraints: (v) => {
+    if (!isPlainObject(v)) return undefined;
+    const { elements = {}, fonts = {} } = v;
+    return isPlainObject(elements) && isPlainObject(fonts) ? { elements, fonts } : undefined;
+  },
+  blockedWords: (v) => list(v)?.map(s => s.trim()).filter(Boolean),
+  shareParam: (v) => {
+    const name = text(v);
+    return name && /^[A-Za-z0-9_-]+$/.test(name) ? name : undefined;
+  },
+};
+
+// data-* attribute values are strings; lists are JSON arrays or comma-separated
+// (initialText: a JSON array, or a single line); textConstraints is JSON
+function fromDataset(dataset) {
+  const raw = {};
+  for (const key of Object.keys(VALIDATORS)) {
+    if (dataset[key] == null) continue;
+    raw[key] = dataset[key];
+  }
+  for (const key of ['initialText', 'variantParams', 'textConstraints', 'blockedWords']) {
+    const value = raw[key];
+    if (typeof value !== 'string') continue;
+    if (/^\s*[[{]/.test(value)) {
+      try {
+        raw[key] = JSON.parse(value);
+      } catch {
+        // left as a string; fails validation below
+      }
+    } else if (key !== 'textConstraints') {
+      raw[key] = key === 'initialText' ? [value] : value.split(',');
+    }
+  }
+  return raw;
+}
+
+/**
+ * Options for one widget instance.
+ * @param {HTMLElement|null|undefined} el - container, for its data-* attributes
+ * @param {Partial<DesignerOptions>=} options - from mountRbgDesigner(); wins over attributes
+ * @returns {DesignerOptions}
+ */
+export function resolveDesignerOptions(el, options) {
+  const given = { ...(el ? fromDataset(el.dataset) : {}), ...(options || {}) };
+  const resolved = { ...DEFAULT_DESIGNER_OPTIONS };
+
+  for (const [key, value] of Object.entries(given)) {
+    if (value === undefined) continue;
+    const validate = VALIDATORS[key];
+    if (!validate) {
+      console.warn('[RBG]', `Ignoring unknown designer option '${key}'`);
+      continue;
+    }
+    const normalized = validate(value);
+    if (normalized === undefined) {
+      console.warn('[RBG]', `Invalid designer option '${key}':`, value, '- using', DEFAULT_DESIGNER_OPTIONS[key]);
+      continue;
+    }
+    resolved[key] = normalized;
+  }
+  return resolved;
+}
+
+/**
+ * Variant to load: `variantId`, else the first of `variantParams` present in the page URL.
+ * @param {DesignerOptions} options
+ * @param {string} search - location.search
+ * @returns {string|null}
+ */
+export function variantFromOptions(options, search) {
+  if (options.variantId) return options.variantId;
+  const params = new URLSearchParams(search);
+  for (const name of options.variantParams) {
+    const value = params.get(name);
+    if (value) return value;
+  }
+  return null;
+}
@@ -0,0 +1,94 @@
+/**
+ * Blocked-word filter for personalization text, so offensive text is never rendered on product
+ * imagery or sent to production.
+ *
+ * Shared by the widget (checked as the shopper types, before a render URL is built) and the
+ * proxy (netlify/lib/personalization.js), so skipping the widget doesn't skip the check. Keep
+ * it free of browser and Node APIs.
+ *
+ * Text is compared word by word after folding away the usual disguises:
+ * - case and accents ("Ñ" is "n")
+ * - leetspeak ("5h1t", "@$$"); digits only count as letters in words that have letters too,
+ *   so numbers ("455", "80085") stay numbers
+ * - punctuation inside a word ("f.u.c.k", "s_h_i_t")
+ * - spacing ("f u c k", "sh it"): adjacent words are also checked joined together
+ * - stretched letters ("fuuuck")
+ * Entries ending in "*" also match longer words ("fuck*" blocks "fucking"); phrases
+ * ("kill yourself") match across spaces.
+ *
+ * Merchants extend DEFAULT_BLOCKED_WORDS with their own list (`blockedWords` in the tenant
+ * configuration and the widget options).
+ */
+
+/** Shown for any blocked line; deliberately says nothing about what matched */
+export const REVISE_TEXT_MESSAGE = 'Please revise this text.';
+
+// Only words with no common innocent reading on their own (no "dick", "cock", "cum")
+export const DEFAULT_BLOCKED_WORDS = Object.freeze([
+  'fuck*', 'motherfuck*', 'shit', 'shits', 'shitty', 'shithead*', 'bullshit',
+  'bitch*', 'bastard', 'bastards', 'ass', 'asshole*', 'dickhead*', 'cocksuck*',
+  'cunt*', 'pussy', 'twat*', 'wank*', 'whore*', 'slut', 'sluts', 'slutty',
+  'faggot*', 'nigger*', 'nigga*', 'kike*', 'retard', 'retards', 'retarded',
+]);
+
+const LEET = {
+  '0': 'o', '1': 'i', '!': 'i', '|': 'i', '3': 'e', '4': 'a', '@': 'a',
+  '5': 's', '$': 's', '7': 't', '+': 't', '8': 'b', '9': 'g',
+};
+// "1" and "|" stand in for "l" about as often as for "i"
+const LEET_L = { ...LEET, '1': 'l', '|': 'l' };
+
+const DIGIT = /[0-9]/;
+const LETTER = /[a-z]/;
+
+function words(text, table) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((chunk) => {
+      const spelled = LETTER.test(chunk);
+      return [...chunk].map(ch => (spelled || !DIGIT.test(ch) ? table[ch] ?? ch : ch)).join('').replace(/[^a-z]/g, '');
+    })
+    .filter(Boolean);
+}
+
+// "fuck*" -> /^f+u+c+k+/, "ass" -> /^a+s+s+$/
+function entryPattern(entry) {
+  const prefix = /\*\s*$/.test(entry);
+  const letters = words(entry.replace(/\*\s*$/, ''), LEET).join('');
+  if (!letters) return null;
+  return new RegExp(`^${[...letters].map(ch => `${ch}+`).join('')}${prefix ? '' : '$'}`);
+}
+
+/**
+ * @typedef {Object} WordFilter
+ * @property {(text: string) => boolean} test - whether the text contains a blocked word
+ */
+
+/**
+ * @param {string[]=} blockedWords - the merchant's entries, added to DEFAULT_BLOCKED_WORDS
+ * @returns {WordFilter}
+ */
+export function createWordFilter(blockedWords = []) {
+  const entries = new Set([...DEFAULT_BLOCKED_WORDS, ...blockedWords].map(w => String(w).trim().toLowerCase()).filter(Boolean));
+  const patterns = [...entries].map(entryPattern).filter(Boolean);
+
+  const blocked = (list) => {
+    for (let i = 0; i < list.length; i++) {
+      let joined = '';
+      for (let j = i; j < list.length; j++) {
+        joined += list[j];
+        if (patterns.some(p => p.test(joined))) return true;
+      }
+    }
+    return false;
+  };
+
+  return {
+    test(text) {
+      return [LEET, LEET_L].some(table => blocked(words(text, table)));
+    },
+  };
+}
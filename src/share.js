@@ -0,0 +1,92 @@
+/**
+ * Shareable design links: the personalization packed into one URL parameter
+ * (`?rbg=1.<base64url JSON>` by default, see the `shareParam` option), so a shopper can send
+ * their design to a friend and support can open exactly what a customer sees.
+ *
+ * The leading number is the format version. Links in a version this build doesn't know are
+ * ignored rather than half-applied.
+ */
+
+export const DESIGN_LINK_VERSION = 1;
+
+const MAX_LINES = 3;
+const MAX_LINE_LENGTH = 200;
+
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+const optionalString = (v) => (typeof v === 'string' && v ? v : undefined);
+
+/**
+ * @param {import('./controller.js').DesignerState} state
+ * @returns {string}
+ */
+export function encodeDesignLink({ templateCode, lines, font, colourCode, designName, linkLines = true, lineStyles = [] }) {
+  // v1 payload: [templateCode, lines, font, colourCode, designName, lineStyles?], positional to
+  // stay short. lineStyles ([[font, colourCode], ...]) is only present when lines aren't linked.
+  const trimmed = [...lines];
+  while (trimmed.length > 0 && !trimmed[trimmed.length - 1]) trimmed.pop();
+  const payload = [templateCode || '', trimmed, font || '', colourCode || '', designName || ''];
+  if (!linkLines) payload.push(lineStyles.map(st => [st.font || '', st.colourCode || '']));
+  return `${DESIGN_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * State from a design link, or null when it's malformed or from an unknown version. Only
+ * the shape is checked here; whether the template, font, colour and design still exist is
+ * up to the caller.
+ * @param {string} value
+ * @returns {Partial<import('./controller.js').DesignerState>|null}
+ */
+export function decodeDesignLink(value) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) !== DESIGN_LINK_VERSION) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(payload)) return null;
+
+  const [templateCode, lines, font, colourCode, designName, lineStyles] = payload;
+  const state = {
+    templateCode: optionalString(templateCode),
+    font: optionalString(font),
+    colourCode: optionalString(colourCode),
+    // An empty design name means the design was deliberately cleared
+    designName: optionalString(designName) ?? null,
+  };
+  if (Array.isArray(lines)) {
+    state.lines = lines.slice(0, MAX_LINES).map(l => (typeof l === 'string' ? l.slice(0, MAX_LINE_LENGTH) : ''));
+  }
+  state.linkLines = !Array.isArray(lineStyles);
+  if (!state.linkLines) {
+    state.lineStyles = lineStyles.slice(0, MAX_LINES).map(entry => ({
+      font: Array.isArray(entry) ? optionalString(entry[0]) : undefined,
+      colourCode: Array.isArray(entry) ? optionalString(entry[1]) : undefined,
+    }));
+  }
+  return state;
+}
+
+/**
+ * `href` with the design link parameter set.
+ * @param {string} href
+ * @param {string} param
+ * @param {import('./controller.js').DesignerState} state
+ */
+export function designLinkUrl(href, param, state) {
+  const url = new URL(href);
+  url.searchParams.set(param, encodeDesignLink(state));
+  return url.toString();
+}
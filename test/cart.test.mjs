@@ -0,0 +1,197 @@
+/* global process */
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { connectBigCommerceCart, CartError } from "../src/cart.js";
+
+/**
+ * connectBigCommerceCart against the stub Storefront Cart API (scripts/stub-cart-server.mjs)
+ * on a free port, with just enough of a product page for the modifier form and add-to-cart
+ * button.
+ */
+
+let stub;
+let cartApiBase;
+
+before(async () => {
+    stub = spawn(process.execPath, [fileURLToPath(new URL("../scripts/stub-cart-server.mjs", import.meta.url))], {
+        env: { ...process.env, STUB_CART_PORT: "0" },
+        stdio: ["ignore", "pipe", "inherit"],
+    });
+    let output = "";
+    while (!/localhost:\d+/.test(output)) {
+        const [chunk] = await once(stub.stdout, "data");
+        output += chunk;
+    }
+    cartApiBase = `http://localhost:${output.match(/localhost:(\d+)/)[1]}`;
+    stub.stdout.resume();
+});
+
+after(() => stub.kill());
+
+// The cart writes select modifiers by option; the page here only has text fields
+globalThis.HTMLSelectElement ??= class {};
+
+const submitListeners = new Set();
+globalThis.document = {
+    addEventListener: (type, fn) => type === "submit" && submitListeners.add(fn),
+    removeEventListener: (type, fn) => type === "submit" && submitListeners.delete(fn),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+};
+
+function productForm(names, productId = "77") {
+    const fields = new Map(names.map(name => [name, { value: "", changes: 0, dispatchEvent() { this.changes++; } }]));
+    fields.set("product_id", { value: productId, dispatchEvent() {} });
+    const button = { disabled: false, dataset: {} };
+    return { fields, button, elements: { namedItem: name => fields.get(name) ?? null }, querySelectorAll: () => [button] };
+}
+
+/** Submit the form the way the browser would, returning whether it went ahead */
+function submit(form) {
+    const event = { target: form, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; }, stopImmediatePropagation() {} };
+    submitListeners.forEach(fn => fn(event));
+    return !event.defaultPrevented;
+}
+
+function fakeDesigner(state) {
+    const listeners = new Map();
+    return {
+        getState: () => state,
+        on(event, fn) {
+            listeners.set(event, fn);
+            return () => listeners.delete(event);
+        },
+        emit(event, payload) {
+            listeners.get(event)?.(payload);
+        },
+    };
+}
+
+const designState = (overrides = {}) => ({
+    templateCode: "RBG_Two_Lines",
+    lines: ["Happy Birthday", "Sam"],
+    font: "Script",
+    colourCode: "C100",
+    designName: null,
+    linkLines: false,
+    lineStyles: [{ font: "Script", colourCode: "C100" }, { font: "Block", colourCode: "C200" }],
+    renderUrl: "https://shop.example/api/pulseid-proxy?sig=abc",
+    status: "ready",
+    ...overrides,
+});
+
+test("modifiers mode writes the design into the mapped form fields", () => {
+    const fields = {
+        templateCode: "attribute[110]",
+        lines: ["attribute[111]", "attribute[112]"],
+        lineFonts: ["attribute[113]", "attribute[114]"],
+        colourCode: "attribute[115]",
+        renderUrl: "attribute[116]",
+    };
+    const form = productForm(Object.values(fields).flat());
+    const designer = fakeDesigner(designState());
+    const cart = connectBigCommerceCart(designer, { mode: "modifiers", fields, form });
+
+    const value = name => form.fields.get(name).value;
+    assert.equal(value("attribute[110]"), "RBG_Two_Lines");
+    assert.equal(value("attribute[111]"), "Happy Birthday");
+    assert.equal(value("attribute[112]"), "Sam");
+    assert.equal(value("attribute[113]"), "Script");
+    assert.equal(value("attribute[114]"), "Block");
+    assert.equal(value("attribute[115]"), "C100");
+    assert.equal(value("attribute[116]"), "https://shop.example/api/pulseid-proxy?sig=abc");
+    assert.equal(form.fields.get("attribute[111]").changes, 1);
+
+    designer.emit("change", designState({ lines: ["Happy Birthday", "Alex"], status: "pending" }));
+    assert.equal(value("attribute[112]"), "Alex");
+    assert.equal(form.fields.get("attribute[111]").changes, 1, "unchanged fields aren't touched");
+    cart.disconnect();
+});
+
+test("a single lines field gets every line, one per row", () => {
+    const form = productForm(["attribute[111]"]);
+    const cart = connectBigCommerceCart(fakeDesigner(designState({ lines: ["One", "", "Three"] })), {
+        mode: "modifiers",
+        fields: { lines: "attribute[111]" },
+        form,
+    });
+    assert.equal(form.fields.get("attribute[111]").value, "One\nThree");
+    cart.disconnect();
+});
+
+test("add-to-cart is blocked while the render is pending or invalid", async () => {
+    const form = productForm(["attribute[111]"]);
+    const designer = fakeDesigner(designState({ status: "pending" }));
+    const cart = connectBigCommerceCart(designer, { mode: "modifiers", fields: { lines: ["attribute[111]"] }, form });
+
+    assert.equal(cart.canAddToCart(), false);
+    assert.equal(form.button.disabled, true);
+    assert.equal(form.button.dataset.rbgBlocked, "The preview is still updating");
+    assert.equal(submit(form), false);
+
+    designer.emit("status", designState({ status: "invalid" }));
+    assert.equal(cart.blockedReason(), "Please fix the highlighted text");
+    assert.equal(submit(form), false);
+
+    designer.emit("render", { state: designState() });
+    assert.equal(cart.canAddToCart(), true);
+    assert.equal(form.button.disabled, false);
+    assert.equal(form.button.dataset.rbgBlocked, undefined);
+    assert.equal(submit(form), true);
+
+    cart.disconnect();
+    assert.equal(submitListeners.size, 0);
+
+    const api = connectBigCommerceCart(fakeDesigner(designState({ status: "invalid" })), {
+        mode: "storefront-api",
+        fields: { lines: [111] },
+        productId: 77,
+        cartApiBase,
+    });
+    await assert.rejects(api.addToCart(), err => err instanceof CartError && err.code === "BLOCKED");
+    api.disconnect();
+});
+
+test("storefront-api mode adds the personalization as option selections", async () => {
+    const fields = { templateCode: 110, lines: [111, 112], renderUrl: 116 };
+    const cart = connectBigCommerceCart(fakeDesigner(designState()), { mode: "storefront-api", fields, productId: 77, variantId: 5, cartApiBase });
+
+    const created = await cart.addToCart({ quantity: 2 });
+    assert.equal(created.lineItems.length, 1);
+    const [item] = created.lineItems;
+    assert.equal(item.productId, 77);
+    assert.equal(item.variantId, 5);
+    assert.equal(item.quantity, 2);
+    assert.deepEqual(item.optionSelections, [
+        { optionId: 110, optionValue: "RBG_Two_Lines" },
+        { optionId: 111, optionValue: "Happy Birthday" },
+        { optionId: 112, optionValue: "Sam" },
+        { optionId: 116, optionValue: "https://shop.example/api/pulseid-proxy?sig=abc" },
+    ]);
+
+    // A second add goes into the cart the first one created
+    const updated = await cart.addToCart();
+    assert.equal(updated.id, created.id);
+    assert.equal(updated.lineItems.length, 2);
+    cart.disconnect();
+});
+
+test("failed cart requests and missing products raise CartError", async () => {
+    const unreachable = connectBigCommerceCart(fakeDesigner(designState()), {
+        mode: "storefront-api",
+        fields: { lines: [111] },
+        productId: 77,
+        cartApiBase: `${cartApiBase}/elsewhere`,
+    });
+    await assert.rejects(unreachable.addToCart(), err => err instanceof CartError && err.code === "CART_REQUEST_FAILED" && err.status === 404);
+    unreachable.disconnect();
+
+    const noProduct = connectBigCommerceCart(fakeDesigner(designState()), { mode: "storefront-api", fields: { lines: [111] }, cartApiBase });
+    await assert.rejects(noProduct.addToCart(), err => err instanceof CartError && err.code === "NO_PRODUCT");
+    noProduct.disconnect();
+
+    assert.throws(() => connectBigCommerceCart(fakeDesigner(designState()), { mode: "hidden-fields" }), TypeError);
+});
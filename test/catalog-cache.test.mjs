@@ -0,0 +1,46 @@
+/* global process */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handler, callProxy } from "./helpers.mjs";
+
+// TTLs are read on the first request, so this file can make fonts go stale within a second
+process.env.PULSEID_CACHE_TTLS = JSON.stringify({ "Fonts/GetFonts": 1 });
+
+const FONTS = { endpoint: "/api/api/Fonts/GetFonts" };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test("stale catalog entries are refreshed once, into the same entry a miss stores", async () => {
+    const miss = await callProxy(FONTS);
+    assert.equal(miss.headers["X-Cache"], "MISS");
+    await wait(1100);
+
+    const refreshes = [];
+    const context = { waitUntil: (promise) => refreshes.push(promise) };
+    const call = () => handler({ path: "/.netlify/functions/pulseid-proxy", httpMethod: "GET", headers: {}, queryStringParameters: FONTS }, context);
+    process.env.PULSEID_MOCK_LATENCY_MS = "50";
+    try {
+        const stale = await Promise.all([call(), call(), call()]);
+        assert.deepEqual(stale.map(res => res.headers["X-Cache"]), ["STALE", "STALE", "STALE"]);
+        assert.equal(refreshes.length, 1);
+        await Promise.all(refreshes);
+    } finally {
+        delete process.env.PULSEID_MOCK_LATENCY_MS;
+    }
+
+    const hit = await callProxy(FONTS);
+    assert.equal(hit.headers["X-Cache"], "HIT");
+    assert.equal(hit.headers.ETag, miss.headers.ETag);
+    assert.equal(hit.headers["Last-Modified"], miss.headers["Last-Modified"]);
+});
+
+test("a cache store that can't be opened leaves requests uncached", async () => {
+    process.env.PULSEID_CACHE_STORE = "blobs";
+    try {
+        const res = await callProxy({ endpoint: "/api/api/Colours/GetColours" });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers["X-Cache"], "MISS");
+        assert.ok(Array.isArray(JSON.parse(res.body)));
+    } finally {
+        process.env.PULSEID_CACHE_STORE = "memory";
+    }
+});
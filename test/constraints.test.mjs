@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    lineConstraint, textViolations, checkText, sanitizeText, displayText,
+    DEFAULT_MAX_CHARACTERS, tooLongMessage,
+} from "../src/constraints.js";
+
+const noOverrides = { elements: {}, fonts: {} };
+const template = {
+    Code: "RBG_Two_Lines",
+    TemplateElements: [{ ElementName: "Line1", MaxCharacters: 12 }, { ElementName: "Line2" }],
+};
+
+test("template metadata sets the length, then overrides, then the default", () => {
+    const overrides = { elements: { "RBG_Two_Lines/Line2": { maxLength: 8 }, Line3: { maxLength: 5 }, "*": { maxLength: 20 } }, fonts: {} };
+    const limit = elementName => lineConstraint({ template, elementName, font: null, overrides }).maxLength;
+    assert.equal(limit("Line1"), 12);
+    assert.equal(limit("Line2"), 8);
+    assert.equal(limit("Line3"), 5);
+    assert.equal(limit("Line4"), 20);
+    assert.equal(lineConstraint({ template: null, elementName: "Line1", font: null, overrides: noOverrides }).maxLength, DEFAULT_MAX_CHARACTERS);
+});
+
+test("length is counted in characters, not UTF-16 units", () => {
+    const constraint = lineConstraint({ template, elementName: "Line1", font: { FontName: "Script", AllowedCharacters: "ab🎂" }, overrides: noOverrides });
+    assert.equal(textViolations("🎂".repeat(12), constraint).tooLong, false);
+    assert.equal(textViolations("🎂".repeat(13), constraint).tooLong, true);
+    assert.deepEqual(checkText("a".repeat(13), constraint), [tooLongMessage(12)]);
+});
+
+test("characters come from the font, then overrides, then the default set", () => {
+    const fromFont = lineConstraint({ template, elementName: "Line1", font: { FontName: "Script", AllowedCharacters: "ABC" }, overrides: noOverrides });
+    assert.deepEqual(textViolations("ABD C", fromFont).invalidCharacters, ["D"]);
+
+    const overrides = { elements: {}, fonts: { Script: { allowedCharacters: "xyz" } } };
+    const fromOverride = lineConstraint({ template, elementName: "Line1", font: { FontName: "Script" }, overrides });
+    assert.deepEqual(textViolations("xya", fromOverride).invalidCharacters, ["a"]);
+
+    const fallback = lineConstraint({ template, elementName: "Line1", font: { FontName: "Script" }, overrides: noOverrides });
+    assert.deepEqual(textViolations("José & Zoë, 2024!", fallback).invalidCharacters, []);
+    assert.deepEqual(textViolations("Hi 🎂🎂 ✓\u0007", fallback).invalidCharacters, ["🎂", "✓", "\u0007"]);
+});
+
+test("block fonts and uppercase flags render in capitals", () => {
+    const block = lineConstraint({ template, elementName: "Line1", font: { FontName: "Block", AllowedCharacters: "ABC" }, overrides: noOverrides });
+    assert.equal(block.uppercase, true);
+    assert.equal(displayText("abc", block), "ABC");
+    assert.deepEqual(textViolations("abc", block).invalidCharacters, []);
+
+    const notBlock = lineConstraint({ template, elementName: "Line1", font: { FontName: "Block", UppercaseOnly: false }, overrides: noOverrides });
+    assert.equal(notBlock.uppercase, false);
+    const flagged = lineConstraint({ template, elementName: "Line1", font: { FontName: "Varsity" }, overrides: { elements: {}, fonts: { Varsity: { uppercase: true } } } });
+    assert.equal(flagged.uppercase, true);
+});
+
+test("pasted text is cleaned up to fit the room left", () => {
+    const constraint = lineConstraint({ template, elementName: "Line1", font: { FontName: "Script" }, overrides: noOverrides });
+    assert.equal(sanitizeText("“Zoë’s”\n— 🎂 party", constraint, 100), "\"Zoë's\" -  party");
+    assert.equal(sanitizeText("abcdef", constraint, 3), "abc");
+    assert.equal(sanitizeText("abc", constraint, -1), "");
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDesignerController } from "../src/controller.js";
+
+test("ready rejects when the designer is unmounted first", async () => {
+    let unmounted = 0;
+    const { controller } = createDesignerController({ onUnmount: () => unmounted++ });
+    controller.unmount();
+    controller.unmount();
+    assert.equal(unmounted, 1);
+    await assert.rejects(controller.ready, /unmounted before it was ready/);
+});
+
+test("ready survives a rebind and stays resolved after unmount", async () => {
+    const { controller, host } = createDesignerController({ onUnmount() {} });
+    const state = { templateCode: "T", lines: ["Hi"], status: "ready" };
+
+    controller.setState({ lines: ["Queued"] });
+    host.unbind();
+    const applied = [];
+    host.bind({ getState: () => state, setState: partial => applied.push(partial) });
+    assert.deepEqual(applied, [{ lines: ["Queued"] }]);
+
+    host.markReady(state);
+    controller.unmount();
+    assert.equal(await controller.ready, state);
+});
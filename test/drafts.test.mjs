@@ -0,0 +1,91 @@
+/* global window */
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDraftStore, draftSummary } from "../src/drafts.js";
+
+/** localStorage stand-in; `quota` characters in total, like a browser's */
+function memoryStorage(quota = Infinity) {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.get(key) ?? null,
+        setItem(key, value) {
+            const used = [...items].reduce((n, [k, v]) => n + (k === key ? 0 : v.length), 0);
+            if (used + value.length > quota) throw new Error("QuotaExceededError");
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key),
+    };
+}
+
+const HOUR = 60 * 60 * 1000;
+const storeOptions = { scope: "mock", variantId: "1801", ttlMs: HOUR, recentLimit: 3 };
+const design = (text) => ({ templateCode: "T", lines: [text], font: "Block", colourCode: null, designName: null });
+
+beforeEach(() => {
+    globalThis.window = { localStorage: memoryStorage() };
+});
+
+test("the draft and recent designs are kept per scope and variant", () => {
+    const store = createDraftStore(storeOptions);
+    store.saveDraft(design("Draft"));
+    store.remember(design("Rendered"));
+
+    const { draft, recent } = createDraftStore(storeOptions).load();
+    assert.deepEqual(draft.state.lines, ["Draft"]);
+    assert.deepEqual(recent.map(e => e.state.lines[0]), ["Rendered"]);
+
+    assert.deepEqual(createDraftStore({ ...storeOptions, variantId: "1802" }).load(), { draft: null, recent: [] });
+    assert.deepEqual(createDraftStore({ ...storeOptions, scope: "other" }).load(), { draft: null, recent: [] });
+});
+
+test("the recent list is capped and moves repeats to the front", () => {
+    const store = createDraftStore(storeOptions);
+    for (const text of ["one", "two", "three", "four"]) store.remember(design(text));
+    assert.deepEqual(store.load().recent.map(e => e.state.lines[0]), ["four", "three", "two"]);
+
+    const recent = store.remember(design("two"));
+    assert.deepEqual(recent.map(e => e.state.lines[0]), ["two", "four", "three"]);
+});
+
+test("entries older than the TTL are dropped when read", () => {
+    const store = createDraftStore(storeOptions);
+    store.saveDraft(design("Old"));
+    store.remember(design("Old"));
+    store.remember(design("New"));
+
+    const [key, raw] = [...window.localStorage.items][0];
+    const data = JSON.parse(raw);
+    data.draft.savedAt -= 2 * HOUR;
+    data.recent[1].savedAt -= 2 * HOUR;
+    window.localStorage.setItem(key, JSON.stringify(data));
+
+    const { draft, recent } = store.load();
+    assert.equal(draft, null);
+    assert.deepEqual(recent.map(e => e.state.lines[0]), ["New"]);
+});
+
+test("full, corrupt or missing storage is ignored", () => {
+    window.localStorage = memoryStorage(10);
+    const full = createDraftStore(storeOptions);
+    assert.doesNotThrow(() => full.saveDraft(design("Too big to fit")));
+    assert.deepEqual(full.load(), { draft: null, recent: [] });
+
+    window.localStorage = memoryStorage();
+    window.localStorage.setItem("rbg-designer:drafts:v1:mock:1801", "{not json");
+    assert.deepEqual(createDraftStore(storeOptions).load(), { draft: null, recent: [] });
+
+    Object.defineProperty(window, "localStorage", { get() { throw new Error("SecurityError"); } });
+    const blocked = createDraftStore(storeOptions);
+    assert.doesNotThrow(() => blocked.remember(design("Hi")));
+    assert.deepEqual(blocked.load(), { draft: null, recent: [] });
+
+    delete globalThis.window;
+    assert.deepEqual(createDraftStore(storeOptions).load(), { draft: null, recent: [] });
+});
+
+test("drafts are summarised by their text, else their design or template", () => {
+    assert.equal(draftSummary({ ...design("Happy"), lines: ["Happy", " ", "Birthday"] }), "Happy / Birthday");
+    assert.equal(draftSummary({ ...design(""), designName: "Balloons" }), "Balloons");
+    assert.equal(draftSummary(design("")), "T");
+});
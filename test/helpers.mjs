@@ -0,0 +1,45 @@
+/* global process */
+/**
+ * Shared setup for the proxy tests: the handler runs against the offline PulseID stand-in
+ * (netlify/lib/mock-upstream.js) with in-memory caches and no rate limits. The environment
+ * has to be in place before the proxy modules load, so they're imported dynamically.
+ */
+for (const name of Object.keys(process.env)) {
+    if (name.startsWith("PULSEID_") || name === "NETLIFY_DEV" || name === "URL") delete process.env[name];
+}
+Object.assign(process.env, {
+    PULSEID_MOCK: "true",
+    // Where the mock fixtures' previews live
+    PULSEID_ASSET_PATHS: "/Content/",
+    PULSEID_SESSION_SECRET: "test-session-secret",
+    PULSEID_CACHE_STORE: "memory",
+    PULSEID_RATE_LIMITS: JSON.stringify({ render: { perMinute: 0 }, catalog: { perMinute: 0 }, session: { perMinute: 0 } }),
+    PULSEID_RETRIES: "0",
+});
+
+export const { handler } = await import("../netlify/functions/pulseid-proxy.js");
+export const session = await import("../netlify/lib/session.js");
+
+/** The tenant mock mode provides when nothing else is configured */
+export const MOCK_TENANT = { id: "mock" };
+
+/**
+ * Call the proxy like Netlify would.
+ * @param {Record<string, string>} query
+ * @param {{ path?: string, headers?: Record<string, string>, method?: string }=} options
+ */
+export function callProxy(query, { path = "/.netlify/functions/pulseid-proxy", headers = {}, method = "GET" } = {}) {
+    return handler({ path, httpMethod: method, headers, queryStringParameters: query }, {});
+}
+
+/** Query for a render the mock tenant's catalog accepts */
+export function renderQuery(extra = {}) {
+    return {
+        endpoint: "/api/api/Orders/Render",
+        TemplateCode: "RBG_Default_Template",
+        "Personalizations[0].ElementName": "Line1",
+        "Personalizations[0].Text": "Happy Birthday",
+        "Personalizations[0].FontOverride": "Block",
+        ...extra,
+    };
+}
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHistory, recordEdit, undoEdit, redoEdit, COALESCE_MS, HISTORY_LIMIT } from "../src/history.js";
+
+const design = (lines, font = "Block") => ({ templateCode: "T", lines, font, colourCode: null, designName: null });
+
+test("typing in quick succession is one undo step", () => {
+    let history = createHistory(design([""]));
+    history = recordEdit(history, design(["H"]), 0);
+    history = recordEdit(history, design(["Hi"]), 300);
+    history = recordEdit(history, design(["Hi!"]), 600);
+    assert.equal(history.past.length, 1);
+
+    history = undoEdit(history);
+    assert.deepEqual(history.present.lines, [""]);
+});
+
+test("a pause in typing starts a new step", () => {
+    let history = createHistory(design([""]));
+    history = recordEdit(history, design(["Happy"]), 0);
+    history = recordEdit(history, design(["Happy Birthday"]), COALESCE_MS + 1);
+    assert.deepEqual(undoEdit(history).present.lines, ["Happy"]);
+});
+
+test("other edits never coalesce, and end a run of typing", () => {
+    let history = createHistory(design(["Hi"]));
+    history = recordEdit(history, design(["Hi"], "Script"), 0);
+    history = recordEdit(history, design(["Hi"], "Varsity"), 10);
+    history = recordEdit(history, design(["Hi!"], "Varsity"), 20);
+    assert.equal(history.past.length, 3);
+    assert.equal(undoEdit(undoEdit(history)).present.font, "Script");
+});
+
+test("undo after a coalesced run doesn't merge the next keystroke into it", () => {
+    let history = createHistory(design([""]));
+    history = recordEdit(history, design(["Hi"]), 0);
+    history = undoEdit(redoEdit(undoEdit(history)));
+    history = recordEdit(history, design(["Yo"]), 10);
+    assert.equal(history.past.length, 1);
+    assert.deepEqual(undoEdit(history).present.lines, [""]);
+});
+
+test("redo replays undone steps until a new edit", () => {
+    let history = createHistory(design(["a"]));
+    history = recordEdit(history, design(["a"], "Script"), 0);
+    history = recordEdit(history, design(["a"], "Varsity"), 10);
+    history = undoEdit(undoEdit(history));
+    assert.equal(history.future.length, 2);
+    assert.equal(redoEdit(history).present.font, "Script");
+
+    history = recordEdit(history, design(["b"]), 20);
+    assert.equal(history.future.length, 0);
+    assert.equal(redoEdit(history), history);
+});
+
+test("unchanged states aren't recorded, and history is capped", () => {
+    const start = createHistory(design(["a"]));
+    assert.equal(recordEdit(start, design(["a"]), 0), start);
+    assert.equal(undoEdit(start), start);
+
+    let history = start;
+    for (let i = 0; i < HISTORY_LIMIT + 10; i++) history = recordEdit(history, design(["a"], `Font${i}`), i);
+    assert.equal(history.past.length, HISTORY_LIMIT);
+});
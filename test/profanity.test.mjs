@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWordFilter } from "../src/profanity.js";
+
+const filter = createWordFilter();
+const blocked = text => filter.test(text);
+
+test("plain and disguised spellings are blocked", () => {
+    for (const text of ["shit", "SHIT", "Shït", "fucking", "fuuuuck", "f.u.c.k", "s_h_i_t", "bull-shit"]) {
+        assert.ok(blocked(text), text);
+    }
+});
+
+test("leetspeak is read as letters", () => {
+    for (const text of ["5h1t", "sh!t", "@$$", "a$$hole", "b1tch", "7wat"]) {
+        assert.ok(blocked(text), text);
+    }
+    // "1" and "|" can stand in for "l" as well as "i"
+    assert.ok(blocked("s1ut"));
+    assert.ok(blocked("s|ut"));
+});
+
+test("words split up with spaces are joined back together", () => {
+    for (const text of ["f u c k", "sh it", "Happy b itch day", "you a ss"]) {
+        assert.ok(blocked(text), text);
+    }
+});
+
+test("numbers aren't read as leetspeak", () => {
+    for (const text of ["455", "Room 455", "Est. 1995", "80085", "Class of 2005", "No. 5 1 7"]) {
+        assert.ok(!blocked(text), text);
+    }
+});
+
+test("innocent words and place names containing blocked words pass", () => {
+    for (const text of ["Scunthorpe", "Shitterton", "Assisi", "class", "assess", "Sussex", "Penistone", "grass snake", "Happy Birthday"]) {
+        assert.ok(!blocked(text), text);
+    }
+});
+
+test("entries ending in * also match longer words, others only the word itself", () => {
+    assert.ok(blocked("fuckface"));
+    assert.ok(blocked("bitches"));
+    assert.ok(!blocked("shitake"), "shit has no *");
+    assert.ok(!blocked("asset"), "ass has no *");
+
+    const merchant = createWordFilter(["bum*", "toast"]);
+    assert.ok(merchant.test("bumface"));
+    assert.ok(merchant.test("b u m"));
+    assert.ok(merchant.test("toast"));
+    assert.ok(!merchant.test("toasty"));
+    assert.ok(!merchant.test("a bu"));
+});
+
+test("phrases match across spaces", () => {
+    const merchant = createWordFilter(["kill yourself"]);
+    assert.ok(merchant.test("go kill yourself"));
+    assert.ok(merchant.test("k1ll y0urself"));
+    assert.ok(!merchant.test("kill"));
+});
@@ -0,0 +1,174 @@
+/* global process, Buffer */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { callProxy, renderQuery, session, MOCK_TENANT } from "./helpers.mjs";
+
+const json = (res) => JSON.parse(res.body);
+
+test("catalog endpoints are answered from the mock fixtures", async () => {
+    const res = await callProxy({ endpoint: "/api/api/Fonts/GetFonts" });
+    assert.equal(res.statusCode, 200);
+    const fonts = json(res);
+    assert.ok(Array.isArray(fonts) && fonts.length > 0);
+    assert.ok(fonts.every(f => !String(f.FontPreviewUrl).includes("{api domain}")));
+});
+
+test("a render with a valid session token is rendered", async () => {
+    const { token } = session.issueSession(MOCK_TENANT);
+    const res = await callProxy(renderQuery({ token }));
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Content-Type"], "image/png");
+    assert.equal(res.isBase64Encoded, true);
+});
+
+test("a render without a session token is refused", async () => {
+    const res = await callProxy(renderQuery());
+    assert.equal(res.statusCode, 401);
+    assert.equal(json(res).code, "SESSION_REQUIRED");
+});
+
+test("a render with an expired session token is refused", async () => {
+    const { token } = session.issueSession(MOCK_TENANT, Date.now() - 24 * 3600 * 1000);
+    const res = await callProxy(renderQuery({ token }));
+    assert.equal(res.statusCode, 401);
+    assert.equal(json(res).code, "SESSION_EXPIRED");
+});
+
+test("a render with a tampered session token is refused", async () => {
+    const { token } = session.issueSession(MOCK_TENANT, Date.now() - 24 * 3600 * 1000);
+    const [payload, signature] = token.split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const extended = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 48 * 3600 })).toString("base64url");
+
+    for (const forged of [`${extended}.${signature}`, `${payload}.${signature.slice(0, -2)}AA`, `${payload}.`]) {
+        const res = await callProxy(renderQuery({ token: forged }));
+        assert.equal(res.statusCode, 401, forged);
+        assert.equal(json(res).code, "SESSION_INVALID");
+    }
+});
+
+test("a session token issued for another tenant is refused", async () => {
+    const { token } = session.issueSession({ id: "other-store" });
+    const res = await callProxy(renderQuery({ token }));
+    assert.equal(res.statusCode, 401);
+    assert.equal(json(res).code, "SESSION_INVALID");
+});
+
+test("encoded or dotted spellings of the render endpoint still need a session token", async () => {
+    for (const endpoint of [
+        "/%61pi/api/Orders/Render",
+        "/%2561pi/api/Orders/Render",
+        "/Content/../api/api/Orders/Render",
+        "/Content/%2e%2e/api/api/Orders/Render",
+        "//api//api/Orders/Render",
+        "/api./api/Orders/Render",
+    ]) {
+        const res = await callProxy(renderQuery({ endpoint }));
+        assert.equal(res.statusCode, 401, endpoint);
+        assert.equal(json(res).code, "SESSION_REQUIRED", endpoint);
+    }
+});
+
+test("paths outside the API and the asset prefixes are refused", async () => {
+    const res = await callProxy({ endpoint: "/secret/config.json" });
+    assert.equal(res.statusCode, 403);
+    assert.equal(json(res).code, "ENDPOINT_NOT_ALLOWED");
+
+    const asset = await callProxy({ endpoint: "/Content/Fonts/Block.png" });
+    assert.equal(asset.statusCode, 200);
+});
+
+test("assets are refused until PULSEID_ASSET_PATHS is set", async () => {
+    const paths = process.env.PULSEID_ASSET_PATHS;
+    delete process.env.PULSEID_ASSET_PATHS;
+    try {
+        const res = await callProxy({ endpoint: "/Content/Fonts/Block.png" });
+        assert.equal(res.statusCode, 403);
+        assert.equal(json(res).code, "ASSET_PATHS_NOT_CONFIGURED");
+    } finally {
+        process.env.PULSEID_ASSET_PATHS = paths;
+    }
+});
+
+test("asset URLs in catalog responses ignore the request's Host headers", async () => {
+    const headers = { host: "evil.example", "x-forwarded-host": "evil.example", "x-forwarded-proto": "http" };
+    const fonts = json(await callProxy({ endpoint: "/api/api/Fonts/GetFonts" }, { headers }));
+    assert.ok(fonts.every(f => String(f.FontPreviewUrl).startsWith("/api/pulseid-proxy?tenant=mock&endpoint=")));
+});
+
+test("a render's signature makes its URL work without a session token", async () => {
+    const { token } = session.issueSession(MOCK_TENANT);
+    const rendered = await callProxy(renderQuery({ token }));
+    const sig = rendered.headers["X-Render-Signature"];
+    assert.ok(sig);
+
+    // Same parameters, in another order, long after the session: still renders
+    const { "Personalizations[0].Text": text, ...rest } = renderQuery();
+    const stored = await callProxy({ "Personalizations[0].Text": text, ...rest, sig });
+    assert.equal(stored.statusCode, 200);
+    assert.equal(stored.headers["Content-Type"], "image/png");
+
+    // Any other render: refused
+    const other = await callProxy(renderQuery({ "Personalizations[0].Text": "Something else", sig }));
+    assert.equal(other.statusCode, 401);
+    assert.equal(json(other).code, "SESSION_INVALID");
+});
+
+test("render signatures expire and can't be extended", async () => {
+    const { token } = session.issueSession(MOCK_TENANT);
+    const sig = (await callProxy(renderQuery({ token }))).headers["X-Render-Signature"];
+    const [exp, mac] = sig.split(".");
+
+    const extended = await callProxy(renderQuery({ sig: `${Number(exp) + 86400}.${mac}` }));
+    assert.equal(extended.statusCode, 401);
+    assert.equal(json(extended).code, "SESSION_INVALID");
+
+    const past = Date.now() - 365 * 24 * 60 * 60 * 1000;
+    const stale = session.signRender("render-hash", MOCK_TENANT, past);
+    assert.doesNotThrow(() => session.verifyRenderSignature(stale, "render-hash", MOCK_TENANT, past));
+    assert.throws(() => session.verifyRenderSignature(stale, "render-hash", MOCK_TENANT), { code: "SESSION_EXPIRED" });
+    assert.throws(() => session.verifyRenderSignature(stale, "other-hash", MOCK_TENANT, past), { code: "SESSION_INVALID" });
+});
+
+test("renders only accept the tenant's font type, whatever the request asks for", async () => {
+    const { token } = session.issueSession(MOCK_TENANT);
+    const printFont = { "Personalizations[0].FontOverride": "Typewriter", token };
+
+    const wrongType = await callProxy(renderQuery(printFont));
+    assert.equal(wrongType.statusCode, 422);
+    assert.deepEqual(json(wrongType).errors.map(e => e.code), ["UNKNOWN_FONT"]);
+
+    const asPrint = await callProxy(renderQuery({ ...printFont, fontType: "print" }));
+    assert.equal(asPrint.statusCode, 422);
+    assert.deepEqual(json(asPrint).errors.map(e => e.code), ["UNKNOWN_FONT"]);
+
+    const validated = await callProxy(renderQuery({ ...printFont, fontType: "print" }), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(validated.statusCode, 422);
+});
+
+test("fonts without a character list get the default stitchable set", async () => {
+    const res = await callProxy(renderQuery({ "Personalizations[0].Text": "José" }), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(json(res), { valid: true, errors: [] });
+
+    const control = await callProxy(renderQuery({ "Personalizations[0].Text": "Jos\u0007" }), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(control.statusCode, 422);
+    assert.deepEqual(json(control).errors.map(e => e.code), ["INVALID_CHARACTERS"]);
+
+    const emoji = await callProxy(renderQuery({ "Personalizations[0].Text": "Happy \u{1F382}" }), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(emoji.statusCode, 422);
+    assert.deepEqual(json(emoji).errors.map(e => e.code), ["INVALID_CHARACTERS"]);
+});
+
+test("mock fixtures are found whatever the working directory", async () => {
+    const cwd = process.cwd();
+    process.chdir(tmpdir());
+    try {
+        const res = await callProxy({ endpoint: "/api/api/Designer/GetProduct", variantId: "1801" });
+        assert.equal(res.statusCode, 200);
+        assert.ok(json(res).Code);
+    } finally {
+        process.chdir(cwd);
+    }
+});
@@ -0,0 +1,30 @@
+/* global process */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callProxy, renderQuery, session, MOCK_TENANT } from "./helpers.mjs";
+
+// Budgets are read on the first request, so this file can turn render limits on
+process.env.PULSEID_RATE_LIMITS = JSON.stringify({ render: { perMinute: 1, burst: 1 }, catalog: { perMinute: 0 }, session: { perMinute: 1, burst: 1 } });
+
+const fromIp = (ip) => ({ headers: { "x-nf-client-connection-ip": ip } });
+
+test("render budgets are kept per session, not per shared IP", async () => {
+    const first = session.issueSession(MOCK_TENANT).token;
+    const second = session.issueSession(MOCK_TENANT).token;
+
+    assert.equal((await callProxy(renderQuery({ token: first }), fromIp("203.0.113.1"))).statusCode, 200);
+    assert.equal((await callProxy(renderQuery({ token: first }), fromIp("203.0.113.1"))).statusCode, 429);
+    assert.equal((await callProxy(renderQuery({ token: second }), fromIp("203.0.113.1"))).statusCode, 200);
+});
+
+test("requests without a valid session count against their IP", async () => {
+    assert.equal((await callProxy(renderQuery({ token: "forged.token" }), fromIp("203.0.113.2"))).statusCode, 401);
+    assert.equal((await callProxy(renderQuery({ token: "other.forged" }), fromIp("203.0.113.2"))).statusCode, 429);
+});
+
+test("new sessions are counted per IP", async () => {
+    const { token } = session.issueSession(MOCK_TENANT);
+    const path = "/api/pulseid-proxy/session";
+    assert.equal((await callProxy({ token }, { path, ...fromIp("203.0.113.3") })).statusCode, 200);
+    assert.equal((await callProxy({}, { path, ...fromIp("203.0.113.3") })).statusCode, 429);
+});
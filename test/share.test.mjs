@@ -0,0 +1,63 @@
+/* global Buffer */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeDesignLink, decodeDesignLink, designLinkUrl, DESIGN_LINK_VERSION } from "../src/share.js";
+
+const design = {
+    templateCode: "RBG_Two_Lines",
+    lines: ["Happy Birthday", "Zoë ❤", ""],
+    font: "Script",
+    colourCode: "C100",
+    designName: "Balloons",
+    linkLines: true,
+    lineStyles: [],
+};
+
+test("a design survives the round trip", () => {
+    const link = encodeDesignLink(design);
+    assert.match(link, new RegExp(`^${DESIGN_LINK_VERSION}\\.[A-Za-z0-9_-]+$`));
+    assert.deepEqual(decodeDesignLink(link), {
+        templateCode: "RBG_Two_Lines",
+        lines: ["Happy Birthday", "Zoë ❤"],
+        font: "Script",
+        colourCode: "C100",
+        designName: "Balloons",
+        linkLines: true,
+    });
+});
+
+test("per-line styles are kept when lines aren't linked", () => {
+    const link = encodeDesignLink({
+        ...design,
+        linkLines: false,
+        lineStyles: [{ font: "Script", colourCode: "C100" }, { font: "Block", colourCode: null }],
+    });
+    const state = decodeDesignLink(link);
+    assert.equal(state.linkLines, false);
+    assert.deepEqual(state.lineStyles, [{ font: "Script", colourCode: "C100" }, { font: "Block", colourCode: undefined }]);
+});
+
+test("a cleared design name stays cleared", () => {
+    assert.equal(decodeDesignLink(encodeDesignLink({ ...design, designName: null })).designName, null);
+});
+
+test("malformed links and unknown versions are rejected", () => {
+    const body = encodeDesignLink(design).split(".")[1];
+    for (const link of ["", null, "garbage", `2.${body}`, `1.${body}!`, "1.bm90IGpzb24", `1.${Buffer.from('{"a":1}').toString("base64url")}`]) {
+        assert.equal(decodeDesignLink(link), null, String(link));
+    }
+});
+
+test("oversized payloads are cut down to what the widget holds", () => {
+    const link = `1.${Buffer.from(JSON.stringify(["T", ["a".repeat(500), "b", "c", "d"], "", "", "", [[1, 2], "x"]])).toString("base64url")}`;
+    const state = decodeDesignLink(link);
+    assert.deepEqual(state.lines, ["a".repeat(200), "b", "c"]);
+    assert.equal(state.font, undefined);
+    assert.deepEqual(state.lineStyles, [{ font: undefined, colourCode: undefined }, { font: undefined, colourCode: undefined }]);
+});
+
+test("design link URLs keep the page's other parameters", () => {
+    const url = new URL(designLinkUrl("https://shop.example/product?colour=red&rbg=old", "rbg", design));
+    assert.equal(url.searchParams.get("colour"), "red");
+    assert.deepEqual(decodeDesignLink(url.searchParams.get("rbg")).lines, ["Happy Birthday", "Zoë ❤"]);
+});
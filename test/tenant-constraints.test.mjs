@@ -0,0 +1,32 @@
+/* global process */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { callProxy, renderQuery } from "./helpers.mjs";
+
+// The tenant table is read on the first request, so this file gets its own mock tenant
+const { MOCK_ORIGIN } = await import("../netlify/lib/mock-upstream.js");
+const TEXT_CONSTRAINTS = { elements: {}, fonts: { Block: { allowedCharacters: "ABCDEFGHIJKLMNOPQRSTUVWXYZ" } } };
+Object.assign(process.env, {
+    PULSEID_TENANTS: JSON.stringify({ mock: { apiKey: "mock", company: "mock", origin: MOCK_ORIGIN, textConstraints: TEXT_CONSTRAINTS } }),
+    PULSEID_DEFAULT_TENANT: "mock",
+});
+
+const json = (res) => JSON.parse(res.body);
+
+test("the bootstrap payload carries the tenant's text constraints", async () => {
+    const res = await callProxy({ variantId: "1801" }, { path: "/api/pulseid-proxy/bootstrap" });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(json(res).textConstraints, TEXT_CONSTRAINTS);
+});
+
+test("validation enforces the tenant's text constraints", async () => {
+    const res = await callProxy(renderQuery({ "Personalizations[0].Text": "Happy 40th!" }), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(res.statusCode, 422);
+    const [error] = json(res).errors;
+    assert.equal(error.code, "INVALID_CHARACTERS");
+    assert.deepEqual(error.invalidCharacters, ["4", "0", "!"]);
+
+    // Block lettering is checked in capitals, as the widget renders it
+    const letters = await callProxy(renderQuery(), { path: "/api/pulseid-proxy/validate" });
+    assert.equal(letters.statusCode, 200);
+});
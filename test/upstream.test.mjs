@@ -0,0 +1,84 @@
+/* global process */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, {
+    PULSEID_MOCK: "false",
+    PULSEID_RETRIES: "2",
+    PULSEID_RETRY_BASE_MS: "10",
+    PULSEID_TIMEOUTS: JSON.stringify({ default: 5000 }),
+    PULSEID_BREAKER_THRESHOLD: "1",
+    PULSEID_BREAKER_COOLDOWN_MS: "50",
+});
+const { fetchUpstream, requestDeadline, CircuitOpenError, UpstreamTimeoutError } = await import("../netlify/lib/upstream.js");
+
+const GET = { method: "GET" };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for PulseID: answers each call after `delayMs` (or never, with `hang`), honouring
+ * the abort signal like fetch does.
+ */
+function fakeUpstream({ status = 200, delayMs = 0, hang = false }) {
+    const calls = [];
+    globalThis.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+        const call = { cancelled: false };
+        calls.push(call);
+        signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError")));
+        if (hang) return;
+        setTimeout(() => {
+            const body = new ReadableStream({ cancel() { call.cancelled = true; } });
+            resolve(new Response(body, { status }));
+        }, delayMs);
+    });
+    return calls;
+}
+
+test("retries stop once the deadline can't fit another attempt", async () => {
+    process.env.PULSEID_BREAKER_THRESHOLD = "100";
+    const calls = fakeUpstream({ status: 503, delayMs: 600 });
+    const started = Date.now();
+    const response = await fetchUpstream("https://slow-5xx.example/api/api/Fonts/GetFonts", GET, { deadline: started + 2500 });
+
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 2); // a third attempt would start with under 1.5s left
+    assert.ok(Date.now() - started < 2500);
+    assert.equal(calls[0].cancelled, true, "the retried response's body is released");
+    assert.equal(calls[1].cancelled, false, "the returned response is left for the caller");
+    process.env.PULSEID_BREAKER_THRESHOLD = "1";
+});
+
+test("an upstream that never answers fails at the deadline, not the family timeout", async () => {
+    fakeUpstream({ hang: true });
+    const started = Date.now();
+    await assert.rejects(
+        fetchUpstream("https://hanging.example/api/api/Fonts/GetFonts", GET, { deadline: started + 800 }),
+        UpstreamTimeoutError
+    );
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed >= 750 && elapsed < 1500, `${elapsed}ms`);
+});
+
+test("a half-open breaker lets one trial request through", async () => {
+    const origin = "https://flaky.example";
+    fakeUpstream({ status: 503 });
+    const failed = await fetchUpstream(`${origin}/api/api/Fonts/GetFonts`, GET, { deadline: requestDeadline() });
+    assert.equal(failed.status, 503);
+    await assert.rejects(fetchUpstream(`${origin}/api/api/Fonts/GetFonts`, GET), CircuitOpenError);
+
+    await wait(60); // cooldown over
+    const calls = fakeUpstream({ status: 200, delayMs: 100 });
+    const [trial, concurrent] = await Promise.allSettled([
+        fetchUpstream(`${origin}/api/api/Fonts/GetFonts`, GET),
+        fetchUpstream(`${origin}/api/api/Colours/GetColours`, GET),
+    ]);
+    assert.equal(trial.status, "fulfilled");
+    assert.equal(trial.value.status, 200);
+    assert.equal(concurrent.status, "rejected");
+    assert.ok(concurrent.reason instanceof CircuitOpenError);
+    assert.equal(calls.length, 1);
+
+    // The trial succeeded: the breaker is closed again
+    const after = await fetchUpstream(`${origin}/api/api/Colours/GetColours`, GET);
+    assert.equal(after.status, 200);
+});